@@ -12,11 +12,21 @@ const {
     makeLineup,
     readCreds,
     parseLineup,
-    cacheGuideData
+    cacheGuideData,
+    stopGuideData,
+    guideProgress,
+    lineupCount,
+    startRecordings
 } = require('./src/Device');
 const FS = require('./src/FS');
+const HDHomeRun = require('./src/HDHomeRun');
+const { HlsSession } = require('./src/HLS');
 const Logger = require('./src/Logger');
+const Recordings = require('./src/Recordings');
+const Scan = require('./src/Scan');
 const Scheduler = require('./src/Scheduler');
+const SSDP = require('./src/SSDP');
+const StreamSession = require('./src/Sessions');
 const {runServer} = require('./src/Transmissions');
 
 /**
@@ -29,6 +39,97 @@ var LINEUP_SCHEDULER;
  */
 var GUIDE_SCHEDULER;
 
+/**
+ * Main server and any virtual devices on their own ports
+ * 
+ * @type {import('http').Server[]}
+ */
+var SERVERS = [];
+
+/**
+ * Set once ``shutdown`` starts.
+ */
+var SHUTTING_DOWN = false;
+
+/**
+ * Milliseconds to wait on open connections before dropping them.
+ */
+const SHUTDOWN_TIMEOUT = 5000;
+
+/**
+ * Stops the server, every stream and any guide update, then exits.
+ * 
+ * @async
+ * @param {string} reason - What started the shutdown
+ */
+async function shutdown(reason) {
+    if (SHUTTING_DOWN) {
+        return;
+    }
+
+    SHUTTING_DOWN = true;
+
+    console.log(`${C_HEX.blue}Exiting Process (${reason})...${C_HEX.reset}`);
+
+    if (LINEUP_SCHEDULER) {
+        LINEUP_SCHEDULER.cancel();
+    }
+
+    if (GUIDE_SCHEDULER) {
+        GUIDE_SCHEDULER.cancel();
+    }
+    // running recordings pick back up on the next start
+    Recordings.shutdown();
+
+    await Scan.abort();
+
+    await SSDP.stop();
+
+    HDHomeRun.stop();
+    // stop taking new connections
+    const serversClosed = SERVERS.map((server) => new Promise((resolve) => {
+        server.close(() => resolve(undefined));
+    }));
+    // kills ffmpeg, ends the clients and frees the tuners
+    const released = [];
+
+    for (const session of StreamSession.all) {
+        released.push(session.close());
+    }
+
+    for (const session of HlsSession.all) {
+        released.push(session.close());
+    }
+
+    await stopGuideData();
+
+    for (const server of SERVERS) {
+        server.closeIdleConnections();
+    }
+
+    const timeout = new Promise((resolve) => {
+        setTimeout(resolve, SHUTDOWN_TIMEOUT).unref();
+    });
+
+    await Promise.race([Promise.all([...serversClosed, ...released]), timeout]);
+
+    for (const server of SERVERS) {
+        server.closeAllConnections();
+    }
+
+    await Logger.flush();
+
+    process.exit(0);
+};
+
+process.on('SIGTERM', () => {
+    shutdown('SIGTERM');
+});
+
+process.on('SIGINT', () => {
+    shutdown('SIGINT');
+});
+
 // Starts server
 (async function () {
     CONST.init();
@@ -110,6 +211,16 @@ var GUIDE_SCHEDULER;
 
                 await GUIDE_SCHEDULER.scheduleNextRun();
             }
+
+            startRecordings();
+
+            Scan.setTasks({
+                lineup: () => LINEUP_SCHEDULER.runTask(),
+                guide: GUIDE_SCHEDULER ? () => GUIDE_SCHEDULER.runTask() : null,
+                abort: stopGuideData,
+                found: lineupCount,
+                progress: guideProgress
+            });
         } catch (error) {
             Logger.error("Could not read lineup file. Check permissions and rerun app with --lineup.");
 
@@ -122,24 +233,10 @@ var GUIDE_SCHEDULER;
             process.stdin.setEncoding('utf8');
 
             process.stdin.on('data', async (key) => {
-                if (key.toString() == 'x' || key.toString() == 'X') { // x key
-                    if (LINEUP_SCHEDULER) {
-                        LINEUP_SCHEDULER.cancel();
-                    }
-                    if (GUIDE_SCHEDULER) {
-                        GUIDE_SCHEDULER.cancel();
-                    }
-                    console.log(`${C_HEX.blue}Exiting Process...${C_HEX.reset}`);
-                    setTimeout(() => {
-                        process.exit(0);
-                    }, 2000);
+                if (key.toString() == 'x' || key.toString() == 'X' || key.toString() == '\u0003') { // x key or ctrl+c
+                    await shutdown("exit key");
                 } else if (key.toString() == "l" || key.toString() == "L") { // l key
-                    if (LINEUP_SCHEDULER) {
-                        await LINEUP_SCHEDULER.runTask();
-                    }
-                    if (GUIDE_SCHEDULER) {
-                        await GUIDE_SCHEDULER.runTask();
-                    }
+                    Scan.start();
                 }
             });
         } else {
@@ -147,6 +244,6 @@ var GUIDE_SCHEDULER;
         }
 
         // Core function here
-        runServer();
+        SERVERS = await runServer();
     }
 })();
\ No newline at end of file
@@ -0,0 +1,90 @@
+// @ts-check
+const sandbox = require('./sandbox');
+
+const dir = sandbox();
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChannelMap = require('../src/ChannelMap');
+
+const MAP_FILE = path.join(dir, "channel_map.json");
+
+describe('ChannelMap', () => {
+    beforeEach(() => {
+        fs.rmSync(MAP_FILE, { force: true });
+    });
+
+    it('has no overrides without a file', () => {
+        ChannelMap.load();
+
+        assert.deepEqual(ChannelMap.get("S1"), {});
+    });
+
+    it('loads overrides by channel identifier', () => {
+        fs.writeFileSync(MAP_FILE, JSON.stringify({
+            S1: { number: "5.1", name: "NBC", logo: "http://logos/nbc.png" },
+            S2: { hidden: true },
+            O1: { position: 1, direct: true }
+        }));
+
+        ChannelMap.load();
+
+        assert.deepEqual(ChannelMap.get("S1"), { number: "5.1", name: "NBC", logo: "http://logos/nbc.png" });
+
+        assert.deepEqual(ChannelMap.get("S2"), { hidden: true });
+
+        assert.deepEqual(ChannelMap.get("O1"), { position: 1, direct: true });
+
+        assert.deepEqual(ChannelMap.get("S3"), {});
+    });
+
+    it('skips bad entries and keeps the rest', () => {
+        fs.writeFileSync(MAP_FILE, JSON.stringify({
+            S1: { number: 5.1 },
+            S2: { number: "five" },
+            S3: { name: "" },
+            S4: { hidden: "yes" },
+            S5: { position: "1" },
+            S6: { direct: 1 },
+            S7: "NBC",
+            S8: { number: "105" }
+        }));
+
+        ChannelMap.load();
+
+        for (const identifier of ["S1", "S2", "S3", "S4", "S5", "S6", "S7"]) {
+            assert.deepEqual(ChannelMap.get(identifier), {}, identifier);
+        }
+
+        assert.deepEqual(ChannelMap.get("S8"), { number: "105" });
+    });
+
+    it('ignores a file that is not an object', () => {
+        fs.writeFileSync(MAP_FILE, JSON.stringify([{ number: "5.1" }]));
+
+        ChannelMap.load();
+
+        assert.deepEqual(ChannelMap.get("0"), {});
+    });
+
+    it('drops overrides removed from the file on reload', () => {
+        fs.writeFileSync(MAP_FILE, JSON.stringify({ S1: { name: "NBC" } }));
+
+        ChannelMap.load();
+
+        fs.writeFileSync(MAP_FILE, JSON.stringify({}));
+
+        ChannelMap.load();
+
+        assert.deepEqual(ChannelMap.get("S1"), {});
+    });
+
+    it("doesn't treat object properties as channels", () => {
+        ChannelMap.load();
+
+        assert.deepEqual(ChannelMap.get("toString"), {});
+    });
+});
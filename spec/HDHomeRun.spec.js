@@ -0,0 +1,209 @@
+// @ts-check
+const sandbox = require('./sandbox');
+
+sandbox({
+    DEVICE_ID: "1234567B",
+    IP_ADDRESS: "192.168.1.2",
+    PORT: "8181"
+});
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { setTimeout: sleep } = require('timers/promises');
+const zlib = require('zlib');
+
+const HDHomeRun = require('../src/HDHomeRun');
+
+/**
+ * What ``makeDiscover`` would return, only the fields the reply uses matter
+ */
+const DISCOVER = {
+    FriendlyName: "Tablo 4th Gen Proxy",
+    Manufacturer: "tablo2plex",
+    ModelNumber: "HDHR3-US",
+    FirmwareName: "hdhomerun3_atsc",
+    FirmwareVersion: "20240101",
+    DeviceID: "1234567B",
+    DeviceAuth: "tabloauth123",
+    BaseURL: "http://192.168.1.2:8181",
+    LocalIP: "http://192.168.1.2:8181",
+    LineupURL: "http://192.168.1.2:8181/lineup.json",
+    TunerCount: 2
+};
+
+/**
+ * Builds a discover request the way HDHomeRun tools do.
+ *
+ * @param {number} deviceType
+ * @param {number} deviceId
+ * @returns {Buffer}
+ */
+function request(deviceType, deviceId) {
+    const payload = Buffer.alloc(12);
+
+    payload.writeUInt8(0x01, 0);
+
+    payload.writeUInt8(4, 1);
+
+    payload.writeUInt32BE(deviceType, 2);
+
+    payload.writeUInt8(0x02, 6);
+
+    payload.writeUInt8(4, 7);
+
+    payload.writeUInt32BE(deviceId, 8);
+
+    const header = Buffer.alloc(4);
+
+    header.writeUInt16BE(0x0002, 0);
+
+    header.writeUInt16BE(payload.length, 2);
+
+    const body = Buffer.concat([header, payload]);
+
+    const crc = Buffer.alloc(4);
+
+    crc.writeUInt32LE(zlib.crc32(body) >>> 0);
+
+    return Buffer.concat([body, crc]);
+};
+
+/**
+ * Reads a reply into its type and tags, checking the length and CRC.
+ *
+ * @param {Buffer} msg
+ * @returns {{type: number, tags: Map<number, Buffer>}}
+ */
+function read(msg) {
+    const length = msg.readUInt16BE(2);
+
+    assert.equal(msg.length, length + 8);
+
+    assert.equal(zlib.crc32(msg.subarray(0, length + 4)) >>> 0, msg.readUInt32LE(length + 4));
+
+    /**
+     * @type {Map<number, Buffer>}
+     */
+    const tags = new Map();
+
+    var pos = 4;
+
+    while (pos < length + 4) {
+        const tag = msg[pos];
+
+        var size = msg[pos + 1];
+
+        pos += 2;
+
+        if (size & 0x80) {
+            size = (size & 0x7F) | (msg[pos] << 7);
+
+            pos += 1;
+        }
+
+        tags.set(tag, msg.subarray(pos, pos + size));
+
+        pos += size;
+    }
+
+    return { type: msg.readUInt16BE(0), tags: tags };
+};
+
+/**
+ * Sends a packet to the discovery port.
+ *
+ * @param {Buffer} packet
+ * @param {number} wait - Milliseconds to wait for a reply
+ * @returns {Promise<Buffer|null>} the reply, ``null`` if none came
+ */
+function send(packet, wait = 1000) {
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket('udp4');
+
+        const timeout = setTimeout(() => {
+            socket.close();
+
+            resolve(null);
+        }, wait);
+
+        socket.on('message', (msg) => {
+            clearTimeout(timeout);
+
+            socket.close();
+
+            resolve(msg);
+        });
+
+        socket.send(packet, 65001, "127.0.0.1");
+    });
+};
+
+describe('HDHomeRun discovery', () => {
+    /**
+     * @type {typeof DISCOVER}
+     */
+    var discover = DISCOVER;
+
+    before(async () => {
+        HDHomeRun.start(() => discover);
+        // the socket binds on a later tick
+        await sleep(100);
+    });
+
+    after(() => {
+        HDHomeRun.stop();
+    });
+
+    it('answers a wildcard request with the device details', async () => {
+        const reply = await send(request(0xFFFFFFFF, 0xFFFFFFFF));
+
+        assert.ok(reply);
+
+        const { type, tags } = read(reply);
+
+        assert.equal(type, 0x0003);
+
+        assert.equal(tags.get(0x01)?.readUInt32BE(0), 1);
+
+        assert.equal(tags.get(0x02)?.readUInt32BE(0), 0x1234567B);
+
+        assert.deepEqual(tags.get(0x10), Buffer.from([2]));
+
+        assert.equal(tags.get(0x2B)?.toString(), "tabloauth123");
+
+        assert.equal(tags.get(0x2A)?.toString(), "http://192.168.1.2:8181");
+
+        assert.equal(tags.get(0x27)?.toString(), "http://192.168.1.2:8181/lineup.json");
+    });
+
+    it('answers a request for its own device id', async () => {
+        assert.ok(await send(request(0x00000001, 0x1234567B)));
+    });
+
+    it('ignores requests for another device', async () => {
+        assert.equal(await send(request(0xFFFFFFFF, 0x12345670), 200), null);
+
+        assert.equal(await send(request(0x00000005, 0xFFFFFFFF), 200), null);
+    });
+
+    it('ignores a bad CRC', async () => {
+        const packet = request(0xFFFFFFFF, 0xFFFFFFFF);
+
+        packet[packet.length - 1] ^= 0xFF;
+
+        assert.equal(await send(packet, 200), null);
+    });
+
+    it('uses a second length byte past 127 bytes', async () => {
+        discover = { ...DISCOVER, DeviceAuth: "a".repeat(300) };
+
+        const reply = await send(request(0xFFFFFFFF, 0xFFFFFFFF));
+
+        discover = DISCOVER;
+
+        assert.ok(reply);
+
+        assert.equal(read(reply).tags.get(0x2B)?.toString(), "a".repeat(300));
+    });
+});
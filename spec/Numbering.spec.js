@@ -0,0 +1,130 @@
+// @ts-check
+const sandbox = require('./sandbox');
+
+sandbox({
+    CHANNEL_NUMBERING: "padded",
+    CREATE_XML: "true",
+    INCLUDE_OTT: "true",
+    OTT_NUMBER_OFFSET: "1000"
+});
+
+const fs = require('fs');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONST } = require('../src/Constants');
+const Encryption = require('../src/Encryption');
+const Logger = require('../src/Logger');
+const { readCreds, parseLineup, _lineup } = require('../src/Device');
+
+/**
+ * @param {string} identifier
+ * @param {"ota"|"ott"} kind
+ * @param {number} major
+ * @param {number} minor
+ * @param {string} network
+ * @returns {any} a lineup channel
+ */
+function channel(identifier, kind, major, minor, network) {
+    return {
+        identifier: identifier,
+        name: network,
+        kind: kind,
+        logos: [],
+        [kind]: {
+            major: major,
+            minor: minor,
+            callSign: network,
+            network: network,
+            streamUrl: "",
+            provider: "",
+            canRecord: true
+        }
+    };
+};
+
+/**
+ * ``GuideNumber`` of each channel in ``/lineup.json``, after reading a lineup
+ *
+ * @param {any[]} lineup
+ * @returns {Promise<{[name:string]: string}>}
+ */
+async function guideNumbers(lineup) {
+    await parseLineup(lineup);
+
+    var body = "";
+
+    const res = {
+        writeHead: () => { },
+        end: (/**@type {string}*/data) => {
+            body = data;
+        }
+    };
+
+    // @ts-ignore only what the handler uses
+    await _lineup({}, res);
+
+    return Object.fromEntries(JSON.parse(body).map((/**@type {any}*/el) => [el.GuideName, el.GuideNumber]));
+};
+
+describe('Channel numbering', () => {
+    before(async () => {
+        const device = { serverId: "SID_1", name: "Tablo", url: "http://192.168.1.50:8887" };
+
+        fs.writeFileSync(CONST.CREDS_FILE, Encryption.crypt(JSON.stringify({
+            UUID: "uuid",
+            Lighthouse: "lighthouse",
+            tuners: 2,
+            device: device,
+            devices: [{ device: device, Lighthouse: "lighthouse", tuners: 2 }]
+        })));
+
+        await readCreds();
+    });
+
+    it('pads the minor so 2.11 and 21.1 stay apart', async () => {
+        const numbers = await guideNumbers([
+            channel("S1", "ota", 5, 1, "NBC"),
+            channel("S2", "ota", 2, 11, "A"),
+            channel("S3", "ota", 21, 1, "B")
+        ]);
+
+        assert.deepEqual(numbers, { NBC: "501", A: "211", B: "2101" });
+    });
+
+    it('moves OTT channels into their own range', async () => {
+        const numbers = await guideNumbers([
+            channel("S1", "ota", 5, 1, "NBC"),
+            channel("O1", "ott", 5, 1, "FAST")
+        ]);
+
+        assert.deepEqual(numbers, { NBC: "501", FAST: "100501" });
+    });
+
+    it('reports channels that still share a number', async (t) => {
+        const error = t.mock.method(Logger, 'error', () => { });
+
+        await guideNumbers([
+            channel("S1", "ota", 5, 1, "NBC"),
+            channel("S2", "ota", 5, 1, "NBC 2"),
+            channel("S3", "ota", 7, 1, "ABC")
+        ]);
+
+        const reports = error.mock.calls.map((call) => `${call.arguments[0]}`).filter((text) => text.includes("collision"));
+
+        assert.equal(reports.length, 1);
+
+        assert.match(reports[0], /S1 \(5\.1\), S2 \(5\.1\) all become 501/);
+    });
+
+    it('reports nothing for a clean lineup', async (t) => {
+        const error = t.mock.method(Logger, 'error', () => { });
+
+        await guideNumbers([
+            channel("S1", "ota", 5, 1, "NBC"),
+            channel("S3", "ota", 7, 1, "ABC")
+        ]);
+
+        assert.equal(error.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,181 @@
+// @ts-check
+const sandbox = require('./sandbox');
+
+sandbox();
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Recordings = require('../src/Recordings');
+const SeriesRules = require('../src/SeriesRules');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * @param {number} hours - From now
+ * @returns {string} local date like the guide's ``originalAirDate``
+ */
+function localDate(hours) {
+    const date = new Date(Date.now() + hours * HOUR);
+
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+/**
+ * @param {string} identifier
+ * @param {string} show
+ * @param {string} channelId
+ * @param {number} hours - Start, in hours from now
+ * @param {{season?: number, episode?: number|null, originalAirDate?: string|null}} [details]
+ * @returns {any} a guide airing
+ */
+function airing(identifier, show, channelId, hours, details = {}) {
+    return {
+        identifier: identifier,
+        title: `${show} ${identifier}`,
+        channel: { identifier: channelId },
+        datetime: new Date(Date.now() + hours * HOUR).toISOString(),
+        onnow: "",
+        description: null,
+        kind: "episode",
+        qualifiers: 0,
+        genres: [],
+        images: [],
+        duration: 30 * 60,
+        show: { identifier: show, title: `Show ${show}`, sortTitle: show, sectionTitle: show },
+        episode: {
+            season: { kind: "number", number: details.season ?? 1 },
+            episodeNumber: details.episode === undefined ? 1 : details.episode,
+            originalAirDate: details.originalAirDate ?? null,
+            rating: null
+        }
+    };
+};
+
+const GUIDE = [
+    airing("EP1", "SH1", "S1", 2, { episode: 1, originalAirDate: localDate(2) }),
+    airing("EP2", "SH1", "S1", 26, { episode: 1 }),
+    airing("EP3", "SH1", "S2", 5, { episode: 2, originalAirDate: "2001-01-01" }),
+    airing("EP4", "SH1", "S1", -3, { episode: 3 }),
+    airing("EP5", "SH2", "S1", 4, { episode: 1 })
+];
+
+var guideReads = 0;
+
+var airingLookups = 0;
+
+describe('SeriesRules', () => {
+    before(() => {
+        Recordings.load({
+            channel: (channel) => ["S1", "S2"].includes(channel) ? { channelId: channel, name: channel } : undefined,
+            airing: (identifier) => {
+                airingLookups += 1;
+
+                return GUIDE.find((el) => el.identifier == identifier);
+            },
+            airingAt: () => undefined,
+            record: async () => null
+        });
+
+        SeriesRules.load({
+            channel: (channel) => ["S1", "S2"].includes(channel) ? { channelId: channel, name: channel } : undefined,
+            airings: () => {
+                guideReads += 1;
+
+                return GUIDE.slice();
+            }
+        });
+    });
+
+    afterEach(() => {
+        for (const rule of SeriesRules.all) {
+            SeriesRules.remove(rule.id);
+        }
+
+        for (const job of Recordings.all) {
+            Recordings.remove(job.id);
+        }
+
+        guideReads = 0;
+
+        airingLookups = 0;
+    });
+
+    after(() => {
+        Recordings.shutdown();
+    });
+
+    it('schedules each upcoming episode of the show once', () => {
+        const rule = SeriesRules.add({ show: "SH1" });
+
+        assert.equal(rule.title, "Show SH1");
+
+        assert.deepEqual(SeriesRules.upcoming.map((el) => el.airingId), ["EP1", "EP3"]);
+
+        assert.deepEqual(Recordings.all.map((job) => job.airingId), ["EP1", "EP3"]);
+
+        assert.ok(Recordings.all.every((job) => job.ruleId == rule.id));
+    });
+
+    it('reads the guide once and reuses it for scheduling', () => {
+        SeriesRules.add({ show: "SH1" });
+
+        assert.equal(guideReads, 1);
+
+        assert.equal(airingLookups, 0);
+    });
+
+    it('skips reruns for new episodes only', () => {
+        SeriesRules.add({ show: "SH1", newOnly: true });
+
+        assert.deepEqual(SeriesRules.upcoming.map((el) => el.airingId), ["EP1"]);
+    });
+
+    it('skips an airing whose recording was removed', () => {
+        const rule = SeriesRules.add({ show: "SH1" });
+
+        const job = Recordings.all[0];
+
+        SeriesRules.skip(rule.id, job.airingId ?? "");
+
+        Recordings.remove(job.id);
+
+        SeriesRules.evaluate();
+        // the rerun of the episode takes its place
+        assert.deepEqual(SeriesRules.upcoming.map((el) => el.airingId), ["EP3", "EP2"]);
+
+        assert.deepEqual(Recordings.all.map((job) => job.airingId), ["EP3", "EP2"]);
+    });
+
+    it('keeps to the rule channel', () => {
+        SeriesRules.add({ show: "SH1", channel: "S2" });
+
+        assert.deepEqual(SeriesRules.upcoming.map((el) => el.airingId), ["EP3"]);
+    });
+
+    it('pads the scheduled recording', () => {
+        SeriesRules.add({ show: "SH2", padBefore: 60, padAfter: 120 });
+
+        const job = Recordings.all[0];
+
+        const start = new Date(GUIDE[4].datetime).getTime();
+
+        assert.equal(job.start, new Date(start - 60 * 1000).toISOString());
+
+        assert.equal(job.end, new Date(start + (30 * 60 + 120) * 1000).toISOString());
+    });
+
+    it('throws for a channel not in the lineup', () => {
+        assert.throws(() => SeriesRules.add({ show: "SH1", channel: "S9" }), /not in the lineup/);
+    });
+
+    it('removes the recordings a rule scheduled', () => {
+        const rule = SeriesRules.add({ show: "SH1" });
+
+        assert.equal(SeriesRules.remove(rule.id), true);
+
+        assert.equal(Recordings.all.length, 0);
+
+        assert.equal(SeriesRules.upcoming.length, 0);
+    });
+});
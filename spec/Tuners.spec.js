@@ -0,0 +1,120 @@
+// @ts-check
+const sandbox = require('./sandbox');
+
+sandbox({
+    OTA_TUNER_LIMIT: "0",
+    OTT_STREAM_LIMIT: "1",
+    RESERVED_TUNERS: "0",
+    PRIORITY_CLIENTS: "192.168.1.20=2,10.0.0.0/8"
+});
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Tuners } = require('../src/Tuners');
+
+describe('Tuners', () => {
+    Tuners.setDeviceTuners(2);
+
+    afterEach(() => {
+        for (const allocation of Tuners.all) {
+            allocation.release();
+        }
+    });
+
+    it('limits OTA streams to the device tuners', () => {
+        const first = Tuners.allocate("S1", "192.168.1.5", "ota");
+
+        const second = Tuners.allocate("S2", "192.168.1.5", "ota");
+
+        assert.notEqual(first, null);
+
+        assert.notEqual(second, null);
+
+        assert.equal(Tuners.allocate("S3", "192.168.1.5", "ota"), null);
+
+        assert.equal(Tuners.used("ota"), 2);
+
+        first?.release();
+
+        assert.equal(Tuners.available("ota"), true);
+    });
+
+    it('counts OTT streams apart from OTA', () => {
+        Tuners.allocate("S1", "192.168.1.5", "ota");
+
+        Tuners.allocate("S2", "192.168.1.5", "ota");
+
+        assert.notEqual(Tuners.allocate("O1", "192.168.1.5", "ott"), null);
+
+        assert.equal(Tuners.allocate("O2", "192.168.1.5", "ott"), null);
+    });
+
+    it('releases an allocation only once', () => {
+        const allocation = Tuners.allocate("S1", "192.168.1.5", "ota");
+
+        Tuners.allocate("S2", "192.168.1.5", "ota");
+
+        allocation?.release();
+
+        allocation?.release();
+
+        assert.equal(Tuners.used("ota"), 1);
+    });
+
+    it('hands a freed tuner to a waiting request', async () => {
+        const first = Tuners.allocate("S1", "192.168.1.5", "ota");
+
+        Tuners.allocate("S2", "192.168.1.5", "ota");
+
+        const waiting = Tuners.acquire("S3", "192.168.1.6", "ota", 1000);
+
+        first?.release();
+
+        const allocation = await waiting;
+
+        assert.equal(allocation?.channelId, "S3");
+    });
+
+    it('gives up waiting after the timeout', async () => {
+        Tuners.allocate("S1", "192.168.1.5", "ota");
+
+        Tuners.allocate("S2", "192.168.1.5", "ota");
+
+        assert.equal(await Tuners.acquire("S3", "192.168.1.6", "ota", 50), null);
+    });
+
+    it('matches priority clients by address and subnet', () => {
+        assert.equal(Tuners.priority("192.168.1.20"), 2);
+
+        assert.equal(Tuners.priority("::ffff:192.168.1.20"), 2);
+
+        assert.equal(Tuners.priority("10.20.30.40"), 1);
+
+        assert.equal(Tuners.priority("192.168.1.21"), 0);
+    });
+
+    it('stops a lower priority stream for a priority client', async () => {
+        const low = Tuners.allocate("S1", "192.168.1.5", "ota");
+
+        Tuners.allocate("S2", "192.168.1.6", "ota");
+
+        assert.ok(low);
+
+        var stopped = false;
+
+        low.preempt = () => {
+            stopped = true;
+
+            low.release();
+        };
+
+        const allocation = await Tuners.acquire("S3", "192.168.1.20", "ota", 1000);
+
+        assert.equal(stopped, true);
+
+        assert.equal(allocation?.channelId, "S3");
+
+        assert.equal(allocation?.priority, 2);
+    });
+});
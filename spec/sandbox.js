@@ -0,0 +1,29 @@
+// @ts-check
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Moves the spec into an empty folder, deleted on exit.
+ *
+ * The app reads and writes its .env and json files in the working folder, so
+ * require this before anything from ``src``.
+ *
+ * @param {{[key:string]: string}} env - Settings to use instead of the defaults
+ * @returns {string} the folder
+ */
+function sandbox(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tablo2plex-"));
+
+    process.chdir(dir);
+
+    Object.assign(process.env, env);
+
+    process.on('exit', () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return dir;
+};
+
+module.exports = sandbox;
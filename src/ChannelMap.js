@@ -0,0 +1,130 @@
+// @ts-check
+const path = require('path');
+
+const {
+    CONST
+} = require('./Constants');
+const FS = require('./FS');
+const Logger = require('./Logger');
+
+/**
+ * Source path to channel_map.json
+ */
+const CHANNEL_MAP_FILE = path.join(CONST.DIR_NAME, "channel_map.json");
+
+/**
+ * @typedef channelOverride
+ * @property {string} [number] - Channel number, like ``"5.1"`` or ``"105"``
+ * @property {string} [name] - Name shown in Plex and the guide
+ * @property {string} [logo] - Logo url
+ * @property {boolean} [hidden] - Leaves the channel out of the lineup and guide
+ * @property {number} [position] - Sort position, lower first, unpositioned channels go after
+ * @property {boolean} [direct] - Plays an OTT channel from its stream url, overrides ``OTT_DIRECT``
+ */
+
+/**
+ * Checks an override from channel_map.json.
+ *
+ * @param {any} override
+ * @returns {string|null} the problem, ``null`` when it's fine
+ */
+function _invalid(override) {
+    if (override == null || typeof override != "object" || Array.isArray(override)) {
+        return "not an object";
+    }
+
+    if (override.number != undefined && (typeof override.number != "string" || !/^\d+(\.\d+)?$/.test(override.number))) {
+        return "number must be a string like \"5.1\" or \"105\"";
+    }
+
+    if (override.name != undefined && (typeof override.name != "string" || override.name == "")) {
+        return "name must be a string";
+    }
+
+    if (override.logo != undefined && typeof override.logo != "string") {
+        return "logo must be a url";
+    }
+
+    if (override.hidden != undefined && typeof override.hidden != "boolean") {
+        return "hidden must be true or false";
+    }
+
+    if (override.position != undefined && !Number.isFinite(override.position)) {
+        return "position must be a number";
+    }
+
+    if (override.direct != undefined && typeof override.direct != "boolean") {
+        return "direct must be true or false";
+    }
+
+    return null;
+};
+
+/**
+ * Static class for the per channel overrides in channel_map.json.
+ *
+ * Keyed by channel identifier, read each time the lineup is parsed.
+ *
+ * ```javascript
+ * ChannelMap.load();
+ *
+ * ChannelMap.get("S122912_503_01"); // { number: "5.1", name: "NBC", hidden: false }
+ * ```
+ *
+ * @class
+ */
+class ChannelMap {
+    /**
+     * @type {{[identifier:string]: channelOverride}}
+     */
+    static #overrides = {};
+
+    /**
+     * Reads channel_map.json, no overrides when it's missing.
+     *
+     * @static
+     */
+    static load() {
+        /**
+         * @type {{[identifier:string]: channelOverride}}
+         */
+        const overrides = {};
+
+        if (FS.fileExists(CHANNEL_MAP_FILE)) {
+            const data = FS.readJSON(CHANNEL_MAP_FILE);
+
+            if (data == undefined || typeof data != "object" || Array.isArray(data)) {
+                Logger.error(`Could not read channel map from ${CHANNEL_MAP_FILE}`);
+            } else {
+                for (const identifier in data) {
+                    const problem = _invalid(data[identifier]);
+
+                    if (problem) {
+                        Logger.error(`Skipping channel map entry ${identifier}: ${problem}.`);
+                    } else {
+                        overrides[identifier] = data[identifier];
+                    }
+                }
+            }
+        }
+
+        this.#overrides = overrides;
+    };
+
+    /**
+     * Overrides for a channel, empty when it has none.
+     *
+     * @static
+     * @param {string} identifier
+     * @returns {channelOverride}
+     */
+    static get(identifier) {
+        if (Object.prototype.hasOwnProperty.call(this.#overrides, identifier)) {
+            return this.#overrides[identifier];
+        }
+
+        return {};
+    };
+};
+
+module.exports = ChannelMap;
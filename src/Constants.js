@@ -60,7 +60,7 @@ const DEFAULT_ENV_VALUES = [
         value: ''
     },
     {
-        desc: '; Device to use if you have more than one on your account.',
+        desc: '; Device to use if you have more than one on your account. Comma separate serverIds or use "all" to merge several.',
         key: 'TABLO_DEVICE',
         value: ''
     },
@@ -88,6 +88,96 @@ const DEFAULT_ENV_VALUES = [
         desc: "; Include OTT (Over-The-Top) channels in the line up (default \"true\")",
         key: 'INCLUDE_OTT',
         value: 'true'
+    },
+    {
+        desc: "; How many times a stream is restarted when ffmpeg or the Tablo playlist dies mid-stream\n; default \"3\"",
+        key: 'STREAM_RETRIES',
+        value: '3'
+    },
+    {
+        desc: "; Seconds without data from ffmpeg before a stream is restarted\n; default \"15\"",
+        key: 'STREAM_STALL_TIMEOUT',
+        value: '15'
+    },
+    {
+        desc: "; How Tablo streams are turned into MPEG-TS for Plex\n; ffmpeg = Use ffmpeg (needs ffmpeg in your system path)\n; native = Built in remuxer, no ffmpeg needed but no transcoding\n; Falls back to native when ffmpeg isn't found\n; default \"ffmpeg\"",
+        key: 'STREAM_MODE',
+        value: 'ffmpeg'
+    },
+    {
+        desc: "; Max OTA (antenna) streams the proxy will run at once\n; default \"0\" (all the tuners your Tablo has)",
+        key: 'OTA_TUNER_LIMIT',
+        value: '0'
+    },
+    {
+        desc: "; Max OTT (Over-The-Top) streams the proxy will run at once\n; OTT streams don't use a Tablo tuner\n; default \"0\" (no limit)",
+        key: 'OTT_STREAM_LIMIT',
+        value: '0'
+    },
+    {
+        desc: "; Seconds a new stream waits for a tuner to free up when all are in use\n; Set to \"0\" to answer right away\n; default \"5\"",
+        key: 'TUNER_WAIT_TIMEOUT',
+        value: '5'
+    },
+    {
+        desc: "; Comma separated client IPs or subnets that can take a tuner from other clients when all are in use\n; Add =number for more levels, higher wins (example \"192.168.1.20=2,192.168.1.0/24\")\n; default \"\" (no priority clients)",
+        key: 'PRIORITY_CLIENTS',
+        value: ''
+    },
+    {
+        desc: "; Tuners kept free for the Tablo apps, taken off the tuners shown to Plex\n; default \"0\"",
+        key: 'RESERVED_TUNERS',
+        value: '0'
+    },
+    {
+        desc: "; Ask the Tablo device how many tuners are in use before starting a new stream\n; default \"true\"",
+        key: 'CHECK_DEVICE_TUNERS',
+        value: 'true'
+    },
+    {
+        desc: "; Seconds a client can go without stream data before the stream is stopped and its tuner freed\n; Should be longer than STREAM_STALL_TIMEOUT so recovery gets a chance first\n; Set to \"0\" to turn off\n; default \"60\"",
+        key: 'STREAM_WATCHDOG_TIMEOUT',
+        value: '60'
+    },
+    {
+        desc: "; Minutes of each running channel kept on disk so clients can start behind live with ?offset=-seconds\n; Set to \"0\" to turn off\n; default \"0\"",
+        key: 'TIMESHIFT_MINUTES',
+        value: '0'
+    },
+    {
+        desc: "; Max disk space in MB used by all timeshift buffers together, the oldest data is dropped first\n; default \"2048\"",
+        key: 'TIMESHIFT_MAX_SIZE',
+        value: '2048'
+    },
+    {
+        desc: "; Folder recordings are saved to\n; default is a \"recordings\" folder in the output directory",
+        key: 'RECORDINGS_DIR',
+        value: ''
+    },
+    {
+        desc: "; Answer SSDP/UPnP searches so Plex finds the proxy on its own\n; default \"true\"",
+        key: 'SSDP_ENABLED',
+        value: 'true'
+    },
+    {
+        desc: "; Answer HDHomeRun discovery packets on UDP port 65001, like a real tuner\n; default \"true\"",
+        key: 'HDHR_DISCOVERY',
+        value: 'true'
+    },
+    {
+        desc: "; How channel numbers become guide ids when CREATE_XML is on\n; legacy     = major, minor and a 1 (5.1 is 511), can collide (2.11 and 21.1)\n; padded     = major and a 2 digit minor (5.1 is 501)\n; dotted     = major.minor (5.1 is 5.1)\n; identifier = the Tablo channel identifier\n; default \"legacy\"",
+        key: 'CHANNEL_NUMBERING',
+        value: 'legacy'
+    },
+    {
+        desc: "; Added to the major number of every OTT channel, to keep them clear of OTA channels\n; default \"0\"",
+        key: 'OTT_NUMBER_OFFSET',
+        value: '0'
+    },
+    {
+        desc: "; Play OTT channels straight from their stream url, the Tablo device is only used if that fails\n; default \"false\"",
+        key: 'OTT_DIRECT',
+        value: 'false'
     }
 ];
 
@@ -304,12 +394,30 @@ PROGRAM
     .addOption(new Option('-g, --level <boolean>', 'Logger level.').env("LOG_LEVEL").choices(["info", "error", "warn", "debug"]))
     .addOption(new Option('-k, --log <boolean>', 'If you want to create a log file of all console output.').env("SAVE_LOG"))
     .addOption(new Option('-o, --outdir <string>', 'Overide the output directory. Default is excution directory').env("OUT_DIR"))
-    .addOption(new Option('-v, --device <string>', 'Server ID of the Tablo device to use if you have more than 1.').env("TABLO_DEVICE"))
+    .addOption(new Option('-v, --device <string>', 'Server ID of the Tablo device to use if you have more than 1. Comma separate IDs or use "all" to merge several.').env("TABLO_DEVICE"))
     .addOption(new Option('-u, --user <string>', 'Username to use for when creds.bin isn\'t present. (Note: will auto select profile)').env("USER_NAME"))
     .addOption(new Option('-w, --pass <string>', 'Password to use for when creds.bin isn\'t present. (Note: will auto select profile)').env("USER_PASS"))
     .addOption(new Option('-a, --ip_address <string>', 'Set the IP Address of Tablo2Plex statically.').env("IP_ADDRESS"))
     .addOption(new Option(`-e, --guide <number>`, 'How often to update your XML guide data in hours, default once a day.').env("GUIDE_UPDATE_INTERVAL"))
     .addOption(new Option(`-t, --ott <boolean>`, 'Include OTT (Over-The-Top) channels in the line up.').env("INCLUDE_OTT"))
+    .addOption(new Option('--retries <number>', 'How many times a dead stream is restarted before giving up.').env("STREAM_RETRIES"))
+    .addOption(new Option('--stall <number>', 'Seconds without data from ffmpeg before a stream is restarted.').env("STREAM_STALL_TIMEOUT"))
+    .addOption(new Option('--mode <string>', 'How Tablo streams are turned into MPEG-TS, ffmpeg or native.').env("STREAM_MODE").choices(["ffmpeg", "native"]))
+    .addOption(new Option('--ota_limit <number>', "Max OTA streams at once, 0 uses all of the device's tuners.").env("OTA_TUNER_LIMIT"))
+    .addOption(new Option('--ott_limit <number>', 'Max OTT streams at once, 0 for no limit.').env("OTT_STREAM_LIMIT"))
+    .addOption(new Option('--tuner_wait <number>', 'Seconds a new stream waits for a free tuner when all are in use.').env("TUNER_WAIT_TIMEOUT"))
+    .addOption(new Option('--priority <string>', 'Comma separated client IPs or subnets that can take a tuner from other clients.').env("PRIORITY_CLIENTS"))
+    .addOption(new Option('--reserved <number>', 'Tuners kept free for the Tablo apps.').env("RESERVED_TUNERS"))
+    .addOption(new Option('--check_tuners <boolean>', 'Ask the Tablo device how many tuners are in use before starting a new stream.').env("CHECK_DEVICE_TUNERS"))
+    .addOption(new Option('--watchdog <number>', 'Seconds a client can go without stream data before the stream is stopped.').env("STREAM_WATCHDOG_TIMEOUT"))
+    .addOption(new Option('--timeshift <number>', 'Minutes of each running channel kept on disk for pause and rewind.').env("TIMESHIFT_MINUTES"))
+    .addOption(new Option('--timeshift_size <number>', 'Max disk space in MB used by all timeshift buffers.').env("TIMESHIFT_MAX_SIZE"))
+    .addOption(new Option('--recordings <string>', 'Folder recordings are saved to.').env("RECORDINGS_DIR"))
+    .addOption(new Option('--ssdp <boolean>', 'Answer SSDP/UPnP searches so Plex finds the proxy on its own.').env("SSDP_ENABLED"))
+    .addOption(new Option('--hdhr_discovery <boolean>', 'Answer HDHomeRun discovery packets on UDP port 65001.').env("HDHR_DISCOVERY"))
+    .addOption(new Option('--numbering <string>', 'How channel numbers become guide ids when making the XML guide.').env("CHANNEL_NUMBERING").choices(["legacy", "padded", "dotted", "identifier"]))
+    .addOption(new Option('--ott_offset <number>', 'Added to the major number of every OTT channel.').env("OTT_NUMBER_OFFSET"))
+    .addOption(new Option('--ott_direct <boolean>', 'Play OTT channels straight from their stream url, using the Tablo device as a fallback.').env("OTT_DIRECT"))
     ;
 
 PROGRAM.parse(process.argv);
@@ -605,6 +713,296 @@ function _init_ott() {
     }
 };
 
+/**
+ * confirms stream recovery attempts
+ * 
+ * @returns {number}
+ */
+function _init_stream_retries() {
+    if (ARGV.retries) {
+        var num = Number(ARGV.retries);
+        if (Number.isInteger(num) && num >= 0) {
+            return num;
+        } else {
+            return 3;
+        }
+    } else {
+        return 3;
+    }
+};
+
+/**
+ * confirms stream stall timeout
+ * 
+ * @returns {number} milliseconds
+ */
+function _init_stream_stall() {
+    if (ARGV.stall) {
+        var num = Number(ARGV.stall);
+        if (num > 0) {
+            return num * 1000;
+        } else {
+            return 15 * 1000;
+        }
+    } else {
+        return 15 * 1000;
+    }
+};
+
+/**
+ * confirms stream mode
+ * 
+ * @returns {string}
+ */
+function _init_stream_mode() {
+    switch (ARGV.mode) {
+        case "ffmpeg":
+        case "native":
+            return ARGV.mode;
+        default:
+            return "ffmpeg";
+    }
+};
+
+/**
+ * confirms OTA tuner limit
+ * 
+ * @returns {number} 0 for the device's tuner count
+ */
+function _init_ota_limit() {
+    if (ARGV.ota_limit) {
+        var num = Number(ARGV.ota_limit);
+        if (Number.isInteger(num) && num >= 0) {
+            return num;
+        } else {
+            return 0;
+        }
+    } else {
+        return 0;
+    }
+};
+
+/**
+ * confirms OTT stream limit
+ * 
+ * @returns {number} 0 for no limit
+ */
+function _init_ott_limit() {
+    if (ARGV.ott_limit) {
+        var num = Number(ARGV.ott_limit);
+        if (Number.isInteger(num) && num >= 0) {
+            return num;
+        } else {
+            return 0;
+        }
+    } else {
+        return 0;
+    }
+};
+
+/**
+ * confirms tuner wait timeout
+ * 
+ * @returns {number} milliseconds
+ */
+function _init_tuner_wait() {
+    if (ARGV.tuner_wait != undefined && ARGV.tuner_wait !== "") {
+        var num = Number(ARGV.tuner_wait);
+        if (num >= 0) {
+            return num * 1000;
+        } else {
+            return 5 * 1000;
+        }
+    } else {
+        return 5 * 1000;
+    }
+};
+
+/**
+ * confirms priority clients
+ * 
+ * @returns {string} comma separated list
+ */
+function _init_priority_clients() {
+    if (ARGV.priority != "" && ARGV.priority != undefined) {
+        return ARGV.priority;
+    } else {
+        return "";
+    }
+};
+
+/**
+ * confirms reserved tuners
+ * 
+ * @returns {number}
+ */
+function _init_reserved_tuners() {
+    if (ARGV.reserved) {
+        var num = Number(ARGV.reserved);
+        if (Number.isInteger(num) && num >= 0) {
+            return num;
+        } else {
+            return 0;
+        }
+    } else {
+        return 0;
+    }
+};
+
+/**
+ * confirms device tuner check
+ * 
+ * @returns {boolean}
+ */
+function _init_check_tuners() {
+    if (ARGV.check_tuners) {
+        return _confirm_boolean(ARGV.check_tuners);
+    } else {
+        return true;
+    }
+};
+
+/**
+ * confirms stream watchdog timeout
+ * 
+ * @returns {number} milliseconds, 0 when off
+ */
+function _init_stream_watchdog() {
+    if (ARGV.watchdog != undefined && ARGV.watchdog !== "") {
+        var num = Number(ARGV.watchdog);
+        if (num >= 0) {
+            return num * 1000;
+        } else {
+            return 60 * 1000;
+        }
+    } else {
+        return 60 * 1000;
+    }
+};
+
+/**
+ * confirms timeshift buffer length
+ * 
+ * @returns {number} minutes, 0 when off
+ */
+function _init_timeshift_minutes() {
+    if (ARGV.timeshift) {
+        var num = Number(ARGV.timeshift);
+        if (num >= 0) {
+            return num;
+        } else {
+            return 0;
+        }
+    } else {
+        return 0;
+    }
+};
+
+/**
+ * confirms timeshift disk cap
+ * 
+ * @returns {number} bytes
+ */
+function _init_timeshift_max_size() {
+    if (ARGV.timeshift_size) {
+        var num = Number(ARGV.timeshift_size);
+        if (num > 0) {
+            return num * 1024 * 1024;
+        } else {
+            return 2048 * 1024 * 1024;
+        }
+    } else {
+        return 2048 * 1024 * 1024;
+    }
+};
+
+/**
+ * confirms recordings folder
+ * 
+ * @returns {string} directory name
+ */
+function _init_recordings_dir() {
+    if (ARGV.recordings != "" && ARGV.recordings != undefined) {
+        return ARGV.recordings;
+    } else {
+        return path.join(_init_dir_name_post(), "recordings");
+    }
+};
+
+/**
+ * confirms SSDP responder
+ * 
+ * @returns {boolean}
+ */
+function _init_ssdp() {
+    if (ARGV.ssdp) {
+        return _confirm_boolean(ARGV.ssdp);
+    } else {
+        return true;
+    }
+};
+
+/**
+ * confirms HDHomeRun discovery responder
+ * 
+ * @returns {boolean}
+ */
+function _init_hdhr_discovery() {
+    if (ARGV.hdhr_discovery) {
+        return _confirm_boolean(ARGV.hdhr_discovery);
+    } else {
+        return true;
+    }
+};
+
+/**
+ * confirms channel numbering scheme
+ * 
+ * @returns {string}
+ */
+function _init_channel_numbering() {
+    switch (ARGV.numbering) {
+        case "legacy":
+        case "padded":
+        case "dotted":
+        case "identifier":
+            return ARGV.numbering;
+        default:
+            return "legacy";
+    }
+};
+
+/**
+ * confirms OTT channel number offset
+ * 
+ * @returns {number}
+ */
+function _init_ott_number_offset() {
+    if (ARGV.ott_offset) {
+        var num = Number(ARGV.ott_offset);
+        if (Number.isInteger(num) && num >= 0) {
+            return num;
+        } else {
+            return 0;
+        }
+    } else {
+        return 0;
+    }
+};
+
+/**
+ * confirms direct OTT streaming
+ * 
+ * @returns {boolean}
+ */
+function _init_ott_direct() {
+    if (ARGV.ott_direct) {
+        return _confirm_boolean(ARGV.ott_direct);
+    } else {
+        return false;
+    }
+};
+
 /**
  * Gets machine architecture 
  * 
@@ -737,6 +1135,78 @@ class CONST {
      * @type {string?}
      */
     static #SCHEDULE_GUIDE = null
+    /**
+     * @type {number?}
+     */
+    static #STREAM_RETRIES = null;
+    /**
+     * @type {number?}
+     */
+    static #STREAM_STALL_TIMEOUT = null;
+    /**
+     * @type {string?}
+     */
+    static #STREAM_MODE = null;
+    /**
+     * @type {number?}
+     */
+    static #OTA_TUNER_LIMIT = null;
+    /**
+     * @type {number?}
+     */
+    static #OTT_STREAM_LIMIT = null;
+    /**
+     * @type {number?}
+     */
+    static #TUNER_WAIT_TIMEOUT = null;
+    /**
+     * @type {string?}
+     */
+    static #PRIORITY_CLIENTS = null;
+    /**
+     * @type {number?}
+     */
+    static #RESERVED_TUNERS = null;
+    /**
+     * @type {boolean?}
+     */
+    static #CHECK_DEVICE_TUNERS = null;
+    /**
+     * @type {number?}
+     */
+    static #STREAM_WATCHDOG_TIMEOUT = null;
+    /**
+     * @type {number?}
+     */
+    static #TIMESHIFT_MINUTES = null;
+    /**
+     * @type {number?}
+     */
+    static #TIMESHIFT_MAX_SIZE = null;
+    /**
+     * @type {string?}
+     */
+    static #RECORDINGS_DIR = null;
+    /**
+     * @type {boolean?}
+     */
+    static #SSDP_ENABLED = null;
+    /**
+     * @type {boolean?}
+     */
+    static #HDHR_DISCOVERY = null;
+    /**
+     * @type {string?}
+     */
+    static #CHANNEL_NUMBERING = null;
+    /**
+     * @type {number?}
+     */
+    static #OTT_NUMBER_OFFSET = null;
+    /**
+     * @type {boolean?}
+     */
+    static #OTT_DIRECT = null;
     /**
      * @type {string?}
      */
@@ -773,6 +1243,24 @@ class CONST {
         "CREDS_FILE",
         "SCHEDULE_LINEUP",
         "SCHEDULE_GUIDE",
+        "STREAM_RETRIES",
+        "STREAM_STALL_TIMEOUT",
+        "STREAM_MODE",
+        "OTA_TUNER_LIMIT",
+        "OTT_STREAM_LIMIT",
+        "TUNER_WAIT_TIMEOUT",
+        "PRIORITY_CLIENTS",
+        "RESERVED_TUNERS",
+        "CHECK_DEVICE_TUNERS",
+        "STREAM_WATCHDOG_TIMEOUT",
+        "TIMESHIFT_MINUTES",
+        "TIMESHIFT_MAX_SIZE",
+        "RECORDINGS_DIR",
+        "SSDP_ENABLED",
+        "HDHR_DISCOVERY",
+        "CHANNEL_NUMBERING",
+        "OTT_NUMBER_OFFSET",
+        "OTT_DIRECT",
         "MACHINE_ARCH",
         "MACHINE_OS"
     ];
@@ -836,6 +1324,42 @@ class CONST {
 
         this.#SCHEDULE_GUIDE = path.join(this.#DIR_NAME, "schedule_guide.json");
 
+        this.#STREAM_RETRIES = _init_stream_retries();
+
+        this.#STREAM_STALL_TIMEOUT = _init_stream_stall();
+
+        this.#STREAM_MODE = _init_stream_mode();
+
+        this.#OTA_TUNER_LIMIT = _init_ota_limit();
+
+        this.#OTT_STREAM_LIMIT = _init_ott_limit();
+
+        this.#TUNER_WAIT_TIMEOUT = _init_tuner_wait();
+
+        this.#PRIORITY_CLIENTS = _init_priority_clients();
+
+        this.#RESERVED_TUNERS = _init_reserved_tuners();
+
+        this.#CHECK_DEVICE_TUNERS = _init_check_tuners();
+
+        this.#STREAM_WATCHDOG_TIMEOUT = _init_stream_watchdog();
+
+        this.#TIMESHIFT_MINUTES = _init_timeshift_minutes();
+
+        this.#TIMESHIFT_MAX_SIZE = _init_timeshift_max_size();
+
+        this.#RECORDINGS_DIR = _init_recordings_dir();
+
+        this.#SSDP_ENABLED = _init_ssdp();
+
+        this.#HDHR_DISCOVERY = _init_hdhr_discovery();
+
+        this.#CHANNEL_NUMBERING = _init_channel_numbering();
+
+        this.#OTT_NUMBER_OFFSET = _init_ott_number_offset();
+
+        this.#OTT_DIRECT = _init_ott_direct();
+
         this.#MACHINE_ARCH = _get_machine_architecture();
 
         this.#MACHINE_OS = _get_machine_os();
@@ -1095,7 +1619,7 @@ class CONST {
         }
     };
     /**
-     * Server ID of the selected Tablo device to use if you have more than 1
+     * Server ID of the selected Tablo device to use if you have more than 1, comma separated or ``all`` for several
      * 
      * @type {string|undefined}
      */
@@ -1324,6 +1848,330 @@ class CONST {
             }
         }
     };
+    /**
+     * Times a dead stream is restarted before giving up
+     * 
+     * @type {number}
+     */
+    static get STREAM_RETRIES(){
+        if (this.#STREAM_RETRIES != null) {
+            return this.#STREAM_RETRIES;
+        } else {
+            this.init();
+
+            if (this.#STREAM_RETRIES != null) {
+                return this.#STREAM_RETRIES;
+            } else {
+                return 3;
+            }
+        }
+    };
+    /**
+     * Time in milliseconds without ffmpeg data before a stream is restarted
+     * 
+     * @type {number}
+     */
+    static get STREAM_STALL_TIMEOUT(){
+        if (this.#STREAM_STALL_TIMEOUT != null) {
+            return this.#STREAM_STALL_TIMEOUT;
+        } else {
+            this.init();
+
+            if (this.#STREAM_STALL_TIMEOUT != null) {
+                return this.#STREAM_STALL_TIMEOUT;
+            } else {
+                return 15 * 1000;
+            }
+        }
+    };
+    /**
+     * How streams are remuxed, ``"ffmpeg"`` or ``"native"``
+     * 
+     * @type {string}
+     */
+    static get STREAM_MODE(){
+        if (this.#STREAM_MODE != null) {
+            return this.#STREAM_MODE;
+        } else {
+            this.init();
+
+            if (this.#STREAM_MODE != null) {
+                return this.#STREAM_MODE;
+            } else {
+                return "ffmpeg";
+            }
+        }
+    };
+    /**
+     * Max OTA streams, ``0`` uses the device's tuner count
+     * 
+     * @type {number}
+     */
+    static get OTA_TUNER_LIMIT(){
+        if (this.#OTA_TUNER_LIMIT != null) {
+            return this.#OTA_TUNER_LIMIT;
+        } else {
+            this.init();
+
+            if (this.#OTA_TUNER_LIMIT != null) {
+                return this.#OTA_TUNER_LIMIT;
+            } else {
+                return 0;
+            }
+        }
+    };
+    /**
+     * Max OTT streams, ``0`` for no limit
+     * 
+     * @type {number}
+     */
+    static get OTT_STREAM_LIMIT(){
+        if (this.#OTT_STREAM_LIMIT != null) {
+            return this.#OTT_STREAM_LIMIT;
+        } else {
+            this.init();
+
+            if (this.#OTT_STREAM_LIMIT != null) {
+                return this.#OTT_STREAM_LIMIT;
+            } else {
+                return 0;
+            }
+        }
+    };
+    /**
+     * Time in milliseconds a new stream waits for a free tuner
+     * 
+     * @type {number}
+     */
+    static get TUNER_WAIT_TIMEOUT(){
+        if (this.#TUNER_WAIT_TIMEOUT != null) {
+            return this.#TUNER_WAIT_TIMEOUT;
+        } else {
+            this.init();
+
+            if (this.#TUNER_WAIT_TIMEOUT != null) {
+                return this.#TUNER_WAIT_TIMEOUT;
+            } else {
+                return 5 * 1000;
+            }
+        }
+    };
+    /**
+     * Comma separated client IPs or subnets with a tuner priority
+     * 
+     * @type {string}
+     */
+    static get PRIORITY_CLIENTS(){
+        if (this.#PRIORITY_CLIENTS != null) {
+            return this.#PRIORITY_CLIENTS;
+        } else {
+            this.init();
+
+            if (this.#PRIORITY_CLIENTS != null) {
+                return this.#PRIORITY_CLIENTS;
+            } else {
+                return "";
+            }
+        }
+    };
+    /**
+     * Tuners kept free for the Tablo apps
+     * 
+     * @type {number}
+     */
+    static get RESERVED_TUNERS(){
+        if (this.#RESERVED_TUNERS != null) {
+            return this.#RESERVED_TUNERS;
+        } else {
+            this.init();
+
+            if (this.#RESERVED_TUNERS != null) {
+                return this.#RESERVED_TUNERS;
+            } else {
+                return 0;
+            }
+        }
+    };
+    /**
+     * If the device is asked for tuner use before a new stream
+     * 
+     * @type {boolean}
+     */
+    static get CHECK_DEVICE_TUNERS(){
+        if (this.#CHECK_DEVICE_TUNERS != null) {
+            return this.#CHECK_DEVICE_TUNERS;
+        } else {
+            this.init();
+
+            if (this.#CHECK_DEVICE_TUNERS != null) {
+                return this.#CHECK_DEVICE_TUNERS;
+            } else {
+                return true;
+            }
+        }
+    };
+    /**
+     * Time in milliseconds a client can go without data before its stream is stopped, ``0`` when off
+     * 
+     * @type {number}
+     */
+    static get STREAM_WATCHDOG_TIMEOUT(){
+        if (this.#STREAM_WATCHDOG_TIMEOUT != null) {
+            return this.#STREAM_WATCHDOG_TIMEOUT;
+        } else {
+            this.init();
+
+            if (this.#STREAM_WATCHDOG_TIMEOUT != null) {
+                return this.#STREAM_WATCHDOG_TIMEOUT;
+            } else {
+                return 60 * 1000;
+            }
+        }
+    };
+    /**
+     * Minutes of each running channel kept in the timeshift buffer, ``0`` when off
+     * 
+     * @type {number}
+     */
+    static get TIMESHIFT_MINUTES(){
+        if (this.#TIMESHIFT_MINUTES != null) {
+            return this.#TIMESHIFT_MINUTES;
+        } else {
+            this.init();
+
+            if (this.#TIMESHIFT_MINUTES != null) {
+                return this.#TIMESHIFT_MINUTES;
+            } else {
+                return 0;
+            }
+        }
+    };
+    /**
+     * Max bytes used by all timeshift buffers together
+     * 
+     * @type {number}
+     */
+    static get TIMESHIFT_MAX_SIZE(){
+        if (this.#TIMESHIFT_MAX_SIZE != null) {
+            return this.#TIMESHIFT_MAX_SIZE;
+        } else {
+            this.init();
+
+            if (this.#TIMESHIFT_MAX_SIZE != null) {
+                return this.#TIMESHIFT_MAX_SIZE;
+            } else {
+                return 2048 * 1024 * 1024;
+            }
+        }
+    };
+    /**
+     * Folder recordings are saved to
+     * 
+     * @type {string}
+     */
+    static get RECORDINGS_DIR(){
+        if (this.#RECORDINGS_DIR != null) {
+            return this.#RECORDINGS_DIR;
+        } else {
+            this.init();
+
+            if (this.#RECORDINGS_DIR != null) {
+                return this.#RECORDINGS_DIR;
+            } else {
+                return path.join(_init_dir_name_post(), "recordings");
+            }
+        }
+    };
+    /**
+     * If SSDP/UPnP searches are answered
+     * 
+     * @type {boolean}
+     */
+    static get SSDP_ENABLED(){
+        if (this.#SSDP_ENABLED != null) {
+            return this.#SSDP_ENABLED;
+        } else {
+            this.init();
+
+            if (this.#SSDP_ENABLED != null) {
+                return this.#SSDP_ENABLED;
+            } else {
+                return true;
+            }
+        }
+    };
+    /**
+     * If HDHomeRun UDP discovery packets are answered
+     * 
+     * @type {boolean}
+     */
+    static get HDHR_DISCOVERY(){
+        if (this.#HDHR_DISCOVERY != null) {
+            return this.#HDHR_DISCOVERY;
+        } else {
+            this.init();
+
+            if (this.#HDHR_DISCOVERY != null) {
+                return this.#HDHR_DISCOVERY;
+            } else {
+                return true;
+            }
+        }
+    };
+    /**
+     * How channel numbers become guide ids, ``legacy``, ``padded``, ``dotted`` or ``identifier``
+     * 
+     * @type {string}
+     */
+    static get CHANNEL_NUMBERING(){
+        if (this.#CHANNEL_NUMBERING != null) {
+            return this.#CHANNEL_NUMBERING;
+        } else {
+            this.init();
+
+            if (this.#CHANNEL_NUMBERING != null) {
+                return this.#CHANNEL_NUMBERING;
+            } else {
+                return "legacy";
+            }
+        }
+    };
+    /**
+     * Added to the major number of OTT channels
+     * 
+     * @type {number}
+     */
+    static get OTT_NUMBER_OFFSET(){
+        if (this.#OTT_NUMBER_OFFSET != null) {
+            return this.#OTT_NUMBER_OFFSET;
+        } else {
+            this.init();
+
+            if (this.#OTT_NUMBER_OFFSET != null) {
+                return this.#OTT_NUMBER_OFFSET;
+            } else {
+                return 0;
+            }
+        }
+    };
+    /**
+     * If OTT channels are played from their stream url instead of through the Tablo device
+     * 
+     * @type {boolean}
+     */
+    static get OTT_DIRECT(){
+        if (this.#OTT_DIRECT != null) {
+            return this.#OTT_DIRECT;
+        } else {
+            this.init();
+
+            if (this.#OTT_DIRECT != null) {
+                return this.#OTT_DIRECT;
+            } else {
+                return false;
+            }
+        }
+    };
     /**
      * Gets machines operating system
      * 
@@ -8,7 +8,6 @@ const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const XMLWriter = require('xml-writer');
-const { spawn } = require('child_process');
 
 const {
     exit,
@@ -23,16 +22,42 @@ const Encryption = require('./Encryption');
 const FS = require('./FS');
 const JSDate = require('./JSDate');
 const Logger = require('./Logger');
+const Recordings = require('./Recordings');
+const SeriesRules = require('./SeriesRules');
+const SSDP = require('./SSDP');
+const StreamSession = require('./Sessions');
+const Transcode = require('./Transcode');
+const { Tuners } = require('./Tuners');
+const { HlsSession } = require('./HLS');
+const ChannelMap = require('./ChannelMap');
+const LineupHistory = require('./LineupHistory');
+const VirtualDevices = require('./VirtualDevices');
+
+/**
+ * @typedef {import('./VirtualDevices').virtualDevice} virtualDevice
+ */
+
+/**
+ * @typedef {{serverId:string, name:string, type:string, product:string, version:string, buildNumber:number, registrationStatus:string, lastSeen:string, reachability:string, url:string}} tabloDevice
+ */
+
+/**
+ * @typedef tabloSource
+ * @property {tabloDevice} device
+ * @property {string} Lighthouse - Account token for this device
+ * @property {number} tuners
+ */
 
 /**
  * @typedef masterCreds
  * @property {string} lighthousetvAuthorization - For lighthousetv transmissions
  * @property {string} lighthousetvIdentifier - For lighthousetv transmissions
  * @property {{identifier:string, name:string, date_joined:string, preferences:object}} profile
- * @property {{serverId:string, name:string, type:string, product:string, version:string, buildNumber:number, registrationStatus:string, lastSeen:string, reachability:string, url:string}} device
+ * @property {tabloDevice} device - First device, used for the guide
  * @property {string} Lighthouse
  * @property {string} UUID
  * @property {number} tuners
+ * @property {tabloSource[]} devices - Every device the lineup is made from
  */
 
 /**
@@ -40,30 +65,61 @@ const Logger = require('./Logger');
  */
 const CREDS_DATA = {};
 
+/**
+ * Choice in the device list that uses every device
+ */
+const ALL_DEVICES = "All devices";
+
+/**
+ * Milliseconds to wait on an OTT stream url before falling back to the Tablo device
+ */
+const DIRECT_CHECK_TIMEOUT = 5000;
+
+/**
+ * OTA streams the proxy is running on each device, by serverId
+ * 
+ * @type {Map<string, number>}
+ */
+const DEVICE_STREAMS = new Map();
+
 /**
  * Source path to lineup.json
  */
 const LINEUP_FILE = path.join(CONST.DIR_NAME, "lineup.json");
 
 /**
- * @type {{[key:string]:{GuideNumber:string, GuideName:string, ImageURL?:string, Affiliate?: string, VideoCodec?: string, AudioCodec?: string, HD?: number, URL:string, type:string, srcURL:string, streamUrl: string}}}
+ * @type {{[key:string]:{GuideNumber:string, GuideName:string, ImageURL?:string, Affiliate?: string, VideoCodec?: string, AudioCodec?: string, HD?: number, URL:string, type:string, srcURL:string, streamUrl: string, devices: string[]}}}
  */
 const LINEUP_DATA = {};
 
+/**
+ * Channel numbers and guide ids by channel identifier, after channel_map.json
+ * 
+ * @type {{[key:string]:channelInfo}}
+ */
+const CHANNEL_INFO = {};
+
 /**
  * Source path to guide.xml
  */
 const GUIDE_FILE = path.join(CONST.DIR_NAME, "guide.xml");
 
 /**
- * Amount of streams allowed
+ * Running ``cacheGuideData`` task, ``null`` when idle.
+ * 
+ * @type {Promise<void>?}
+ */
+var GUIDE_TASK = null;
+
+/**
+ * Set by ``stopGuideData`` to end a running guide update early.
  */
-var TUNER_COUNT = 2;
+var GUIDE_CANCELED = false;
 
 /**
- * Count for running streams
+ * Share of the guide files the running update has been through, ``0`` to ``1``.
  */
-var CURRENT_STREAMS = 0;
+var GUIDE_PROGRESS = 0;
 
 /**
  * @typedef {OtaType | OttType} channelLineup
@@ -74,6 +130,7 @@ var CURRENT_STREAMS = 0;
  * @property {"ota"} kind - The kind property must be "ota".
  * @property {Logos[]} logos
  * @property {Kind} ota - The ota property with data.
+ * @property {string[]} [sources] - serverIds of the Tablo devices with the channel
  * 
  * @typedef {Object} OttType
  * @property {string} identifier
@@ -81,6 +138,7 @@ var CURRENT_STREAMS = 0;
  * @property {"ott"} kind - The kind property must be "ota".
  * @property {Logos[]} logos
  * @property {Kind} ott - The ott property with data.
+ * @property {string[]} [sources] - serverIds of the Tablo devices with the channel
  * 
  * @typedef Logos
  * @property {string} kind
@@ -150,291 +208,872 @@ var CURRENT_STREAMS = 0;
  */
 
 /**
- * Function to handle Tablo streams
+ * Requests a watch session for a channel from the Tablo device
  * 
- * @param {Request} req
- * @param {Response} res
- * @param {string} ip
  * @param {string} channelId 
  * @param {{GuideNumber:string, GuideName:string, URL:string, type:string, srcURL:string, streamUrl: string}}  selectedChannel
+ * @param {tabloSource} source - Device to tune on
+ * @returns {Promise<import('./Sessions').watchData>}
  */
-async function handleStreams(req, res, ip, channelId, selectedChannel){
-    if (CURRENT_STREAMS < TUNER_COUNT) {
-        const channelReq = await reqTabloDevice("POST", CREDS_DATA.device.url, `/guide/channels/${channelId}/watch`, CREDS_DATA.UUID, "lh");
+async function watchChannel(channelId, selectedChannel, source) {
+    const channelReq = await reqTabloDevice("POST", source.device.url, `/guide/channels/${channelId}/watch`, CREDS_DATA.UUID, "lh");
 
-        try {
-            /**
-             * @type {{token: string, expires: string, keepalive: number, playlist_url: string, video_details: {container_format: string, flags: any[]}}}
-             */
-            const channelJSON = JSON.parse(channelReq.toString());
-            // check if there is a playlist_url
-            if (channelJSON.playlist_url == undefined) {
-                Logger.error('playlist_url missing from requested channel:');
+    /**
+     * @type {import('./Sessions').watchData}
+     */
+    const channelJSON = JSON.parse(channelReq.toString());
+    // check if there is a playlist_url
+    if (channelJSON.playlist_url == undefined) {
+        Logger.error('playlist_url missing from requested channel:');
 
-                Logger.error(channelJSON);
+        Logger.error(channelJSON);
 
-                Logger.error(selectedChannel);
+        Logger.error(selectedChannel);
 
-                res.status(500).send('Failed to find playlist url.');
+        throw new Error('Failed to find playlist url.');
+    }
 
-                return;
-            }
+    Logger.debug("Tablo Response:");
 
-            Logger.debug("Tablo Response:");
+    Logger.debug(channelJSON);
 
-            Logger.debug(channelJSON);
+    return channelJSON;
+};
 
-            const ffmpeg = spawn('ffmpeg', [
-                '-i', channelJSON.playlist_url,
-                '-c', 'copy',
-                '-f', 'mpegts',
-                '-v', `repeat+level+${CONST.FFMPEG_LOG_LEVEL}`,
-                'pipe:1'
-            ]);
+/**
+ * Checks an OTT channel's own stream url works and makes watch data for it, skipping the Tablo
+ * 
+ * @param {string} channelId 
+ * @param {{streamUrl: string}} selectedChannel
+ * @returns {Promise<import('./Sessions').watchData>}
+ */
+async function watchDirect(channelId, selectedChannel) {
+    if (!selectedChannel.streamUrl) {
+        throw new Error('Channel has no stream url.');
+    }
 
-            if (selectedChannel.type == "ota") {
-                CURRENT_STREAMS += 1;
+    const res = await fetch(selectedChannel.streamUrl, { signal: AbortSignal.timeout(DIRECT_CHECK_TIMEOUT) });
 
-                Logger.info(`${C_HEX.red_yellow}[${CURRENT_STREAMS}/${TUNER_COUNT}]${C_HEX.reset} Client ${ip.replace(/::ffff:/, "")} connected to ${channelId}, spawning ffmpeg stream.`);
-            } else {
-                Logger.info(`${C_HEX.red_yellow}[${CURRENT_STREAMS}/${TUNER_COUNT}]${C_HEX.reset} Client ${ip.replace(/::ffff:/, "")} connected to ${channelId} (IPTV), spawning ffmpeg stream.`);
-            }
+    if (!res.ok) {
+        throw new Error(`Stream url answered ${res.status} ${res.statusText}`);
+    }
 
-            res.setHeader('Content-Type', 'video/mp2t');
+    const playlist = await res.text();
 
-            ffmpeg.stdout.pipe(res);
-
-            ffmpeg.stderr.on('data', (data) => {
-                switch (CONST.FFMPEG_LOG_LEVEL) {
-                    case "info":
-                        Logger.info(`[ffmpeg] ${data}`);
-                        break;
-                    case "debug":
-                        Logger.debug(`[ffmpeg] ${data}`);
-                        break;
-                    case "warning":
-                        Logger.warn(`[ffmpeg] ${data}`);
-                        break;
-                    default:
-                        Logger.error(`[ffmpeg] ${data}`);
-                        break;
-                }
-            });
+    if (!playlist.replace(/^\uFEFF/, "").trimStart().startsWith("#EXTM3U")) {
+        throw new Error('Stream url is not an HLS playlist.');
+    }
 
-            req.on('close', () => {
-                if (selectedChannel.type == "ota") {
-                    CURRENT_STREAMS -= 1;
+    Logger.debug(`Streaming ${channelId} directly from ${selectedChannel.streamUrl}`);
+    // no device session, so nothing to keep alive or release
+    return {
+        token: "",
+        expires: "",
+        keepalive: 0,
+        playlist_url: selectedChannel.streamUrl,
+        video_details: {
+            container_format: "hls",
+            flags: []
+        }
+    };
+};
 
-                    Logger.info(`${C_HEX.red_yellow}[${CURRENT_STREAMS}/${TUNER_COUNT}]${C_HEX.reset} Client ${ip && ip.replace(/::ffff:/, "")} disconnected from ${channelId}, killing ffmpeg`);
-                } else {
-                    Logger.info(`${C_HEX.red_yellow}[${CURRENT_STREAMS}/${TUNER_COUNT}]${C_HEX.reset} Client ${ip && ip.replace(/::ffff:/, "")} disconnected from ${channelId} (IPTV), killing ffmpeg`);
-                }
+/**
+ * Keeps a device watch session alive
+ * 
+ * @param {import('./Sessions').watchData} watchData 
+ * @param {tabloSource} source - Device the session is on
+ */
+async function keepaliveChannel(watchData, source) {
+    const keepReq = await makeTabloRequest("POST", source.device.url, `/player/sessions/${watchData.token}/keepalive`);
 
-                ffmpeg.kill('SIGINT');
-            });
+    if (keepReq.length != 0) {
+        try {
+            /**
+             * @type {{token?: string, expires?: string, keepalive?: number}}
+             */
+            const keepJSON = JSON.parse(keepReq.toString());
 
-            return;
-        } catch (error) {
-            // @ts-ignore
-            Logger.error('Error starting stream:', error.message);
+            Logger.debug("Tablo keepalive response:");
 
-            res.status(500).send('Failed to start stream');
+            Logger.debug(keepJSON);
 
-            return;
+            if (keepJSON.expires != undefined) {
+                watchData.expires = keepJSON.expires;
+            }
+        } catch (error) {
+            Logger.debug(`Keepalive response was not JSON: ${keepReq.toString()}`);
         }
-    } else {
-        Logger.error(`Client ${ip && ip.replace(/::ffff:/, "")} connected to ${channelId}, but max streams are running.`);
-
-        res.status(500).send('Failed to start stream');
-
-        return;
     }
 };
 
 /**
- * Start up message
+ * Releases a device watch session
+ * 
+ * @param {import('./Sessions').watchData} watchData 
+ * @param {tabloSource} source - Device the session is on
  */
-function startUpMessage(){
-    Logger.info(`Server v${CONST.VERSION} is running on ${C_HEX.blue}${CONST.SERVER_URL}${C_HEX.reset} with ${TUNER_COUNT} tuners`);
-    if (CONST.CREATE_XML) {
-        Logger.info(`Guide data can be found at ${C_HEX.blue}${CONST.SERVER_URL}/guide.xml${C_HEX.reset}`);
+async function releaseChannel(watchData, source) {
+    await makeTabloRequest("DELETE", source.device.url, `/player/sessions/${watchData.token}`);
+};
 
-        const guideLoc = path.join(CONST.DIR_NAME, "guide.xml");
+/**
+ * Asks the device how many of its tuners are in use, including by the Tablo apps
+ * 
+ * Reads the tuner list the Tablo API answers with, one entry per tuner:
+ * 
+ * ```json
+ * [{ "in_use": true, "channel": "/guide/channels/S122912_503_01", "recording": null }, { "in_use": false, "channel": null, "recording": null }]
+ * ```
+ * 
+ * Any other shape is treated as unknown so it never blocks a stream.
+ * 
+ * @param {tabloSource} source 
+ * @returns {Promise<number|null>} null if the device didn't say
+ */
+async function reqTunersInUse(source) {
+    const tunerReq = await reqTabloDevice("GET", source.device.url, `/server/tuners`, CREDS_DATA.UUID, "lh");
 
-        Logger.info(`or ${C_HEX.blue}${guideLoc}${C_HEX.reset}`);
-    }
-    if (CONST.LOG_TYPE == "debug") {
-        Logger.debug("Debug mode is active!");
+    try {
+        const tunerJSON = JSON.parse(tunerReq.toString());
 
-        Logger.debug(`It is recommended that you have ${C_HEX.blue}SAVE_LOG${C_HEX.reset} = ${C_HEX.green}true${C_HEX.reset} while debugging.`);
+        Logger.debug("Tablo tuners:");
 
-        Logger.debug("When finished, please delete all logs as they will contain sensitive private info.");
+        Logger.debug(tunerJSON);
+
+        if (!Array.isArray(tunerJSON) || tunerJSON.length == 0 || !tunerJSON.every((el) => el != null && typeof el.in_use == "boolean")) {
+            Logger.debug(`Tuner list from ${source.device.name} isn't in a known shape, not checking it.`);
+
+            return null;
+        }
+
+        return tunerJSON.filter((/**@type {{in_use: boolean}}*/el) => el.in_use).length;
+    } catch (error) {
+        Logger.debug(`Could not read tuner use from device: ${tunerReq.toString()}`);
+
+        return null;
     }
 };
 
 /**
- * Makes discover object end point data
+ * Picks the Tablo device to tune a channel on
+ * 
+ * OTA channels go to the device with the channel that has the most free tuners, skipping devices
+ * the Tablo apps have filled up when ``CHECK_DEVICE_TUNERS`` is on.
+ * 
+ * @param {string} channelId 
+ * @param {{type:string, devices?:string[]}} selectedChannel
+ * @param {tabloSource|null} released - Device a recovering session just let go of, the device may still list that tuner as busy
+ * @returns {Promise<tabloSource|null>} null when every device with the channel is busy
  */
-function makeDiscover(){
-    return {
-        FriendlyName: CONST.NAME, // "Tablo 4th Gen Proxy",
-        Manufacturer: "tablo2plex",
-        ModelNumber: "HDHR3-US",
-        FirmwareName: "hdhomerun3_atsc",
-        FirmwareVersion: "20240101",
-        DeviceID: CONST.DEVICE_ID, // "12345678",
-        DeviceAuth: "tabloauth123",
-        BaseURL: CONST.SERVER_URL,// SERVER_URL,
-        LocalIP: CONST.SERVER_URL,// SERVER_URL,
-        LineupURL: `${CONST.SERVER_URL}/lineup.json`, // `${SERVER_URL}/lineup.json`
-        TunerCount: TUNER_COUNT // TUNER_COUNT
+async function pickDevice(channelId, selectedChannel, released = null) {
+    /**
+     * @type {tabloSource[]}
+     */
+    const sources = CREDS_DATA.devices.filter((/**@type {tabloSource}*/source) => {
+        return selectedChannel.devices == undefined || selectedChannel.devices.includes(source.device.serverId);
+    });
+
+    if (selectedChannel.type != "ota") {
+        return sources[0] ?? null;
+    }
+
+    const candidates = sources
+        .map((source) => ({ source: source, free: source.tuners - (DEVICE_STREAMS.get(source.device.serverId) ?? 0) }))
+        .filter((el) => el.free > 0)
+        .sort((a, b) => b.free - a.free);
+
+    for (const { source } of candidates) {
+        if (!CONST.CHECK_DEVICE_TUNERS) {
+            return source;
+        }
+
+        const inUse = await reqTunersInUse(source);
+
+        if (inUse == null || inUse - (source == released ? 1 : 0) < source.tuners) {
+            return source;
+        }
+
+        Logger.debug(`Tablo apps are using all of ${source.device.name}'s tuners, can't tune ${channelId} there.`);
     }
+
+    return null;
 };
 
 /**
- * lineup endpint
+ * Counts an OTA stream starting or stopping on a device
  * 
- * @param {Request} req 
- * @param {Response} res 
+ * @param {tabloSource} source 
+ * @param {number} change - ``1`` or ``-1``
  */
-async function _lineup(req, res) {
-    const lineup = Object.values(LINEUP_DATA);
+function countDeviceStream(source, change) {
+    const serverId = source.device.serverId;
 
-    const headers = {
-        'Content-Type': 'application/json'
-    };
+    DEVICE_STREAMS.set(serverId, Math.max(0, (DEVICE_STREAMS.get(serverId) ?? 0) + change));
+};
 
-    res.writeHead(200, headers);
+/**
+ * Picks a device with a free tuner before a new OTA stream, in case the Tablo apps are using them
+ * 
+ * The device is handed to the session's first watch so the tuners are only asked about once.
+ * 
+ * @param {string} channelId 
+ * @param {{type:string, devices?:string[]}} selectedChannel
+ * @param {string} ip 
+ * @returns {Promise<tabloSource|null>} null when every device is busy
+ */
+async function freeDevice(channelId, selectedChannel, ip) {
+    const picked = await pickDevice(channelId, selectedChannel);
 
-    res.end(JSON.stringify(lineup));
+    if (picked == null) {
+        Logger.error(`Client ${ip} connected to ${channelId}, but every Tablo device with it has its tuners in use.`);
+    }
 
-    return;
+    return picked;
 };
 
 /**
- * Makes Tablo device request
+ * Answers like an HDHomeRun when every tuner is in use
  * 
- * @param {string} method 
- * @param {string} host 
- * @param {string} path 
- * @param {string} msg 
- * @param {{"Content-Type"?:string,Connection?:string,Date?:string,Accept?:string,"User-Agent"?:string,"Content-Length"?:string,Authorization?:string}} headers 
- * @param {string} params 
- * @returns {Promise<Buffer>}
+ * @param {Response} res 
  */
-async function makeTabloRequest(method, host, path, msg = "", headers = {}, params = "") {
-    const url = host + path;
+function sendTunersBusy(res) {
+    if (res.headersSent || res.closed) {
+        return;
+    }
 
-    const baseUrl = new URL(path, host);
+    res.setHeader('X-HDHomeRun-Error', '805 All Tuners In Use');
 
-    baseUrl.search = params;
+    res.status(503).send('All Tuners In Use');
+};
 
-    const date = JSDate.deviceDate();
+/**
+ * Device functions used by stream sessions
+ * 
+ * @param {string} channelId 
+ * @param {{GuideNumber:string, GuideName:string, URL:string, type:string, srcURL:string, streamUrl: string}}  selectedChannel
+ * @param {tabloSource|null} picked - Device already checked for a free tuner, used by the first watch
+ * @returns {import('./Sessions').sessionHooks}
+ */
+function makeSessionHooks(channelId, selectedChannel, picked = null) {
+    const counted = selectedChannel.type == "ota";
 
-    headers["Connection"] = "keep-alive";
+    const info = CHANNEL_INFO[channelId];
 
-    headers["Date"] = date;
+    /**
+     * Device each watch session is on, direct streams have none
+     * 
+     * Kept per session so a release always uncounts the device its own watch counted,
+     * even when the stream closed while the device was still answering.
+     * 
+     * @type {Map<import('./Sessions').watchData, tabloSource>}
+     */
+    const sources = new Map();
+    // set once the stream url fails, the rest of the session uses the device
+    var directFailed = false;
+    /**
+     * Device the last watch session was released from, recovery watches again right after
+     * 
+     * @type {tabloSource|null}
+     */
+    var released = null;
 
-    headers["Accept"] = "*/*";
+    return {
+        watch: async () => {
+            if (info && info.direct && !directFailed) {
+                try {
+                    return await watchDirect(channelId, selectedChannel);
+                } catch (error) {
+                    directFailed = true;
 
-    headers["User-Agent"] = "Tablo-FAST/1.7.0 (Mobile; iPhone; iOS 18.4)";
+                    // @ts-ignore
+                    Logger.error(`Direct stream for ${channelId} failed, falling back to the Tablo device:`, error.message);
+                }
+            }
 
-    const auth = Encryption.makeDeviceAuth(method, path, msg, date);
+            const source = picked ?? await pickDevice(channelId, selectedChannel, released);
+            // recoveries look for a device again
+            picked = null;
 
-    var body;
+            released = null;
 
-    if (method == "POST" && msg != "") {
-        body = Buffer.from(msg);
+            if (source == null) {
+                throw new Error('No Tablo device with this channel has a free tuner.');
+            }
 
-        headers["Content-Length"] = `${body.length}`;
-    }
+            if (counted) {
+                countDeviceStream(source, 1);
+            }
 
-    headers["Authorization"] = auth;
+            if (CREDS_DATA.devices.length > 1) {
+                Logger.info(`Tuning ${channelId} on ${source.device.name} (${source.device.serverId}).`);
+            }
 
-    Logger.debug("Tablo Request:");
+            try {
+                const watchData = await watchChannel(channelId, selectedChannel, source);
 
-    Logger.debug(headers);
+                sources.set(watchData, source);
 
-    Logger.debug(msg);
+                return watchData;
+            } catch (error) {
+                if (counted) {
+                    countDeviceStream(source, -1);
+                }
 
-    try {
-        return await fetch(
-            baseUrl.toString(),
-            {
-                method: method,
-                headers: headers,
-                body: method == "POST" ? body : undefined
+                throw error;
             }
-        ).then(async response => {
-            if (response) {
-                return Buffer.from(await response.arrayBuffer());
-            } else {
-                Logger.error(`Fetch response from device ${url}`);
+        },
+        keepalive: async (watchData) => {
+            const source = sources.get(watchData);
 
-                return Buffer.alloc(0);
+            if (source) {
+                await keepaliveChannel(watchData, source);
             }
-        });
-    } catch (error) {
-        Logger.error(`Fetching device ${url}`);
+        },
+        release: async (watchData) => {
+            const source = sources.get(watchData);
+            // dropped right away so a second release can't uncount it again
+            sources.delete(watchData);
+
+            if (source) {
+                if (counted) {
+                    countDeviceStream(source, -1);
+                }
 
-        Logger.error(error);
+                released = source;
 
-        return Buffer.alloc(0);
-    }
+                await releaseChannel(watchData, source);
+            }
+        }
+    };
 };
 
 /**
- * Handles all Tablo device requests
+ * Finds the running session for a channel, or waits for a tuner and creates one
  * 
- * @param {string} method 
- * @param {string} host 
- * @param {string} path 
- * @param {string} UUID
- * @param {string} params
+ * Used by client streams and recordings alike.
+ * 
+ * @param {string} channelId 
+ * @param {{GuideNumber:string, GuideName:string, URL:string, type:string, srcURL:string, streamUrl: string}}  selectedChannel
+ * @param {string} clientIp - Who the stream is for, used for tuner priority
+ * @param {string} streamLabel - Extra text for the logs
+ * @param {string} profileName - Transcode profile name, empty for none
+ * @param {() => boolean} gone - Returns true once the requester has stopped waiting
+ * @returns {Promise<StreamSession|null>} null when no tuner is free or the requester left
  */
-async function reqTabloDevice(method, host, path, UUID, params) {
-    const headers = {};
+async function openSession(channelId, selectedChannel, clientIp, streamLabel, profileName, gone){
     /**
-     * @type {any}
+     * @type {import('./Tuners').tunerKind}
      */
-    const dataIn = {};
-    if (method == "POST") {
-        headers["Content-Type"] = "application/x-www-form-urlencoded";
-
-        dataIn["bandwidth"] = null;
+    const kind = selectedChannel.type == "ota" ? "ota" : "ott";
 
-        dataIn["extra"] = {
-            "limitedAdTracking": 1,
-            "deviceOSVersion": "16.6",
-            "lang": "en_US",
-            "height": 1080,
-            "deviceId": "00000000-0000-0000-0000-000000000000",
-            "width": 1920,
-            "deviceModel": "iPhone10,1",
-            "deviceMake": "Apple",
-            "deviceOS": "iOS",
-        };
+    var session = StreamSession.get(channelId, profileName);
 
-        dataIn["device_id"] = UUID;
+    if (session) {
+        Logger.info(`${Tuners.status(kind)} Client ${clientIp} connected to ${channelId}${streamLabel}, joining running stream (${session.clients.size + 1} clients).`);
 
-        dataIn["platform"] = "ios";
+        return session;
     }
-    return await makeTabloRequest(method, host, path, method == "POST" ? JSON.stringify(dataIn) : "", headers, params);
-};
 
-/**
- * channel end point 
- * 
- * @param {Request} req 
- * @param {Response} res 
- */
-async function _channel(req, res) {
-    const ip = req.ip || "";
+    const allocation = await Tuners.acquire(channelId, clientIp, kind, CONST.TUNER_WAIT_TIMEOUT);
 
-    const channelId = Array.isArray(req.params.channelId) ? req.params.channelId.join("") : req.params.channelId;
+    if (allocation == null) {
+        Logger.error(`Client ${clientIp} connected to ${channelId}, but max streams are running.`);
+
+        return null;
+    }
+
+    if (gone()) {
+        // gave up while waiting
+        allocation.release();
+
+        return null;
+    }
+
+    /**
+     * @type {tabloSource|null}
+     */
+    var picked = null;
+
+    if (kind == "ota" && !StreamSession.get(channelId, profileName)) {
+        picked = await freeDevice(channelId, selectedChannel, clientIp);
+
+        if (picked == null) {
+            allocation.release();
+
+            return null;
+        }
+    }
+
+    if (gone()) {
+        // gave up while the device was checked
+        allocation.release();
+
+        return null;
+    }
+    // another request may have started the channel while this one waited
+    session = StreamSession.get(channelId, profileName);
+
+    if (session) {
+        allocation.release();
+
+        Logger.info(`${Tuners.status(kind)} Client ${clientIp} connected to ${channelId}${streamLabel}, joining running stream (${session.clients.size + 1} clients).`);
+
+        return session;
+    }
+
+    const newSession = StreamSession.create(channelId, selectedChannel.type, makeSessionHooks(channelId, selectedChannel, picked), profileName);
+
+    newSession.allocation = allocation;
+
+    allocation.preempt = () => newSession.close();
+
+    newSession.onClose = () => {
+        Logger.info(`${Tuners.status(kind)} Stream for ${channelId}${streamLabel} ended, killing ffmpeg`);
+    };
+
+    Logger.info(`${Tuners.status(kind)} Client ${clientIp} connected to ${channelId}${streamLabel}, spawning ffmpeg stream.`);
+
+    return newSession;
+};
+
+/**
+ * Function to handle Tablo streams
+ * 
+ * Clients on the same channel share one watch session and ffmpeg process.
+ * 
+ * @param {Request} req
+ * @param {Response} res
+ * @param {string} ip
+ * @param {string} channelId 
+ * @param {{GuideNumber:string, GuideName:string, URL:string, type:string, srcURL:string, streamUrl: string}}  selectedChannel
+ * @param {string} profileName - Transcode profile name, empty for none
+ * @param {number} offset - Seconds behind live to start from the timeshift buffer, ``0`` for live
+ */
+async function handleStreams(req, res, ip, channelId, selectedChannel, profileName = "", offset = 0){
+    const clientIp = ip.replace(/::ffff:/, "");
+
+    const streamLabel = (selectedChannel.type == "ota" ? "" : " (IPTV)") + (profileName ? ` [${profileName}]` : "") + (offset < 0 ? ` ${-offset}s behind live` : "");
+
+    const kind = selectedChannel.type == "ota" ? "ota" : "ott";
+
+    const session = await openSession(channelId, selectedChannel, clientIp, streamLabel, profileName, () => res.closed);
+
+    if (session == null) {
+        if (!res.closed) {
+            sendTunersBusy(res);
+        }
+
+        return;
+    }
+
+    if (res.closed) {
+        // left while the session was opening, don't leave a new one running with no clients
+        if (session.clients.size == 0) {
+            session.close();
+        }
+
+        return;
+    }
+
+    const client = session.addClient(clientIp, res, offset);
+
+    req.on('close', () => {
+        Logger.info(`${Tuners.status(kind)} Client ${clientIp} disconnected from ${channelId}${streamLabel}`);
+
+        session.removeClient(client);
+    });
+
+    try {
+        await session.start();
+
+        if (!session.closed && !res.headersSent) {
+            res.setHeader('Content-Type', 'video/mp2t');
+        }
+
+        return;
+    } catch (error) {
+        // @ts-ignore
+        Logger.error('Error starting stream:', error.message);
+        // sends the error to every waiting client
+        session.close();
+
+        return;
+    }
+};
+
+/**
+ * Start up message
+ */
+function startUpMessage(){
+    Logger.info(`Server v${CONST.VERSION} is running on ${C_HEX.blue}${CONST.SERVER_URL}${C_HEX.reset} with ${Tuners.limit("ota")} tuners`);
+    if (CONST.CREATE_XML) {
+        Logger.info(`Guide data can be found at ${C_HEX.blue}${CONST.SERVER_URL}/guide.xml${C_HEX.reset}`);
+
+        const guideLoc = path.join(CONST.DIR_NAME, "guide.xml");
+
+        Logger.info(`or ${C_HEX.blue}${guideLoc}${C_HEX.reset}`);
+    }
+    if (CONST.LOG_TYPE == "debug") {
+        Logger.debug("Debug mode is active!");
+
+        Logger.debug(`It is recommended that you have ${C_HEX.blue}SAVE_LOG${C_HEX.reset} = ${C_HEX.green}true${C_HEX.reset} while debugging.`);
+
+        Logger.debug("When finished, please delete all logs as they will contain sensitive private info.");
+    }
+};
+
+/**
+ * @typedef discoverData
+ * @property {string} FriendlyName
+ * @property {string} Manufacturer
+ * @property {string} ModelNumber
+ * @property {string} FirmwareName
+ * @property {string} FirmwareVersion
+ * @property {string} DeviceID
+ * @property {string} DeviceAuth
+ * @property {string} BaseURL
+ * @property {string} LocalIP
+ * @property {string} LineupURL
+ * @property {number} TunerCount
+ */
+
+/**
+ * Makes discover object end point data
+ * 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ * @returns {discoverData}
+ */
+function makeDiscover(device = null){
+    const baseUrl = device ? VirtualDevices.baseUrl(device) : CONST.SERVER_URL;
+
+    return {
+        FriendlyName: device ? device.friendlyName : CONST.NAME, // "Tablo 4th Gen Proxy",
+        Manufacturer: "tablo2plex",
+        ModelNumber: "HDHR3-US",
+        FirmwareName: "hdhomerun3_atsc",
+        FirmwareVersion: "20240101",
+        DeviceID: device ? device.deviceId : CONST.DEVICE_ID, // "12345678",
+        DeviceAuth: "tabloauth123",
+        BaseURL: baseUrl,// SERVER_URL,
+        LocalIP: baseUrl,// SERVER_URL,
+        LineupURL: `${baseUrl}/lineup.json`, // `${SERVER_URL}/lineup.json`
+        TunerCount: Tuners.limit("ota")
+    }
+};
+
+/**
+ * Identifiers of the channels a device shows
+ * 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ * @returns {string[]}
+ */
+function lineupIdsFor(device = null) {
+    if (device == null) {
+        return Object.keys(LINEUP_DATA);
+    }
+
+    return Object.keys(LINEUP_DATA)
+        .filter((channelId) => VirtualDevices.includes(device, channelId, LINEUP_DATA[channelId].type, CHANNEL_INFO[channelId].number));
+};
+
+/**
+ * Channels a device shows
+ * 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ * @returns {typeof LINEUP_DATA[string][]}
+ */
+function lineupFor(device = null) {
+    return lineupIdsFor(device).map((channelId) => LINEUP_DATA[channelId]);
+};
+
+/**
+ * Makes the UPnP device description SSDP points to, from the same fields as ``makeDiscover``
+ * 
+ * @param {string} baseUrl - Device address the client can reach
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ * @returns {string} xml
+ */
+function makeDeviceXml(baseUrl = CONST.SERVER_URL, device = null){
+    const discover = makeDiscover(device);
+
+    const xw = new XMLWriter(true);
+
+    xw.startDocument("1.0", "UTF-8");
+
+    xw.startElement('root');
+
+    xw.writeAttribute('xmlns', 'urn:schemas-upnp-org:device-1-0');
+
+    xw.startElement('specVersion');
+
+    xw.writeElement('major', '1');
+
+    xw.writeElement('minor', '0');
+
+    xw.endElement(); // specVersion
+
+    xw.writeElement('URLBase', baseUrl);
+
+    xw.startElement('device');
+
+    xw.writeElement('deviceType', 'urn:schemas-upnp-org:device:MediaServer:1');
+
+    xw.writeElement('friendlyName', discover.FriendlyName);
+
+    xw.writeElement('manufacturer', discover.Manufacturer);
+
+    xw.writeElement('modelName', discover.ModelNumber);
+
+    xw.writeElement('modelNumber', discover.ModelNumber);
+
+    xw.writeElement('serialNumber', discover.DeviceID);
+
+    xw.writeElement('UDN', `uuid:${SSDP.uuidFor(discover.DeviceID)}`);
+
+    xw.endElement(); // device
+
+    xw.endElement(); // root
+
+    xw.endDocument();
+
+    return xw.toString();
+};
+
+/**
+ * lineup endpint
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ */
+async function _lineup(req, res, device = null) {
+    const lineup = lineupFor(device);
+
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    res.writeHead(200, headers);
+
+    res.end(JSON.stringify(lineup));
+
+    return;
+};
+
+/**
+ * Escapes a value for an M3U attribute
+ * 
+ * @param {string} value 
+ * @returns {string}
+ */
+function _m3uAttribute(value) {
+    return `${value ?? ""}`.replace(/"/g, "'").replace(/[\r\n]+/g, " ");
+};
+
+/**
+ * lineup M3U endpoint for clients that want an M3U tuner, like Jellyfin and Channels DVR
+ * 
+ * ``tvg-id`` matches the channel ids in guide.xml.
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ */
+async function _lineup_m3u(req, res, device = null) {
+    const baseUrl = device ? VirtualDevices.baseUrl(device) : CONST.SERVER_URL;
+
+    const lines = [
+        CONST.CREATE_XML ? `#EXTM3U url-tvg="${baseUrl}/guide.xml"` : "#EXTM3U"
+    ];
+
+    for (const channelId of lineupIdsFor(device)) {
+        const channel = LINEUP_DATA[channelId];
+
+        const attributes = [
+            `tvg-id="${_m3uAttribute(CHANNEL_INFO[channelId].guideId)}"`,
+            `tvg-chno="${_m3uAttribute(channel.GuideNumber)}"`,
+            `tvg-name="${_m3uAttribute(channel.GuideName)}"`
+        ];
+
+        if (channel.ImageURL) {
+            attributes.push(`tvg-logo="${_m3uAttribute(channel.ImageURL)}"`);
+        }
+
+        attributes.push(`group-title="${channel.type.toUpperCase()}"`);
+
+        lines.push(`#EXTINF:-1 ${attributes.join(" ")},${_m3uAttribute(channel.GuideName)}`);
+
+        lines.push(channel.URL);
+    }
+
+    const headers = {
+        'Content-Type': 'audio/x-mpegurl; charset=utf-8'
+    };
+
+    res.writeHead(200, headers);
+
+    res.end(lines.join("\n") + "\n");
+
+    return;
+};
+
+/**
+ * Makes Tablo device request
+ * 
+ * @param {string} method 
+ * @param {string} host 
+ * @param {string} path 
+ * @param {string} msg 
+ * @param {{"Content-Type"?:string,Connection?:string,Date?:string,Accept?:string,"User-Agent"?:string,"Content-Length"?:string,Authorization?:string}} headers 
+ * @param {string} params 
+ * @returns {Promise<Buffer>}
+ */
+async function makeTabloRequest(method, host, path, msg = "", headers = {}, params = "") {
+    const url = host + path;
+
+    const baseUrl = new URL(path, host);
+
+    baseUrl.search = params;
+
+    const date = JSDate.deviceDate();
+
+    headers["Connection"] = "keep-alive";
+
+    headers["Date"] = date;
+
+    headers["Accept"] = "*/*";
+
+    headers["User-Agent"] = "Tablo-FAST/1.7.0 (Mobile; iPhone; iOS 18.4)";
+
+    const auth = Encryption.makeDeviceAuth(method, path, msg, date);
+
+    var body;
+
+    if (method == "POST" && msg != "") {
+        body = Buffer.from(msg);
+
+        headers["Content-Length"] = `${body.length}`;
+    }
+
+    headers["Authorization"] = auth;
+
+    Logger.debug("Tablo Request:");
+
+    Logger.debug(headers);
+
+    Logger.debug(msg);
+
+    try {
+        return await fetch(
+            baseUrl.toString(),
+            {
+                method: method,
+                headers: headers,
+                body: method == "POST" ? body : undefined
+            }
+        ).then(async response => {
+            if (response) {
+                return Buffer.from(await response.arrayBuffer());
+            } else {
+                Logger.error(`Fetch response from device ${url}`);
+
+                return Buffer.alloc(0);
+            }
+        });
+    } catch (error) {
+        Logger.error(`Fetching device ${url}`);
+
+        Logger.error(error);
+
+        return Buffer.alloc(0);
+    }
+};
+
+/**
+ * Handles all Tablo device requests
+ * 
+ * @param {string} method 
+ * @param {string} host 
+ * @param {string} path 
+ * @param {string} UUID
+ * @param {string} params
+ */
+async function reqTabloDevice(method, host, path, UUID, params) {
+    const headers = {};
+    /**
+     * @type {any}
+     */
+    const dataIn = {};
+    if (method == "POST") {
+        headers["Content-Type"] = "application/x-www-form-urlencoded";
+
+        dataIn["bandwidth"] = null;
+
+        dataIn["extra"] = {
+            "limitedAdTracking": 1,
+            "deviceOSVersion": "16.6",
+            "lang": "en_US",
+            "height": 1080,
+            "deviceId": "00000000-0000-0000-0000-000000000000",
+            "width": 1920,
+            "deviceModel": "iPhone10,1",
+            "deviceMake": "Apple",
+            "deviceOS": "iOS",
+        };
+
+        dataIn["device_id"] = UUID;
+
+        dataIn["platform"] = "ios";
+    }
+    return await makeTabloRequest(method, host, path, method == "POST" ? JSON.stringify(dataIn) : "", headers, params);
+};
+
+/**
+ * channel end point 
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _channel(req, res) {
+    const ip = req.ip || "";
+
+    const channelId = Array.isArray(req.params.channelId) ? req.params.channelId.join("") : req.params.channelId;
 
     const selectedChannel = LINEUP_DATA[channelId];
 
+    const transcode = typeof req.query.transcode == "string" ? req.query.transcode : "";
+
+    if (Transcode.get(transcode) === undefined) {
+        Logger.error(`Unknown transcode profile requested: ${transcode}`);
+
+        res.status(400).send('Unknown transcode profile');
+
+        return;
+    }
+
+    var offset = 0;
+
+    if (req.query.offset != undefined) {
+        offset = Number(req.query.offset);
+
+        if (!Number.isFinite(offset) || offset > 0) {
+            res.status(400).send('Offset must be zero or negative seconds');
+
+            return;
+        }
+
+        if (offset < 0 && CONST.TIMESHIFT_MINUTES <= 0) {
+            Logger.error(`Client asked for ${channelId} with an offset, but TIMESHIFT_MINUTES is off.`);
+
+            res.status(400).send('Timeshift is turned off');
+
+            return;
+        }
+
+        offset = Math.max(offset, -CONST.TIMESHIFT_MINUTES * 60);
+    }
+
     if (selectedChannel) {
         // check if there is a srcURL
         if (selectedChannel.srcURL == undefined) {
@@ -447,40 +1086,489 @@ async function _channel(req, res) {
             return;
         }
 
-        await handleStreams(req, res, ip, channelId, selectedChannel);
+        await handleStreams(req, res, ip, channelId, selectedChannel, Transcode.get(transcode) ? transcode : "", offset);
 
     } else {
         res.status(404).send('Channel not found');
 
         Logger.error(`Channel not found: ${channelId}`);
 
-        return;
+        return;
+    }
+};
+
+/**
+ * Finds or starts the HLS passthrough session for a channel
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ * @returns {Promise<HlsSession|undefined>} undefined when an error was sent
+ */
+async function getHlsSession(req, res) {
+    const ip = (req.ip || "").replace(/::ffff:/, "");
+
+    const channelId = Array.isArray(req.params.channelId) ? req.params.channelId.join("") : req.params.channelId;
+
+    const selectedChannel = LINEUP_DATA[channelId];
+
+    if (!selectedChannel) {
+        res.status(404).send('Channel not found');
+
+        Logger.error(`Channel not found: ${channelId}`);
+
+        return;
+    }
+
+    const streamLabel = selectedChannel.type == "ota" ? " (HLS)" : " (IPTV HLS)";
+
+    /**
+     * @type {import('./Tuners').tunerKind}
+     */
+    const kind = selectedChannel.type == "ota" ? "ota" : "ott";
+
+    var session = HlsSession.get(channelId);
+
+    if (!session) {
+        const allocation = await Tuners.acquire(channelId, ip, kind, CONST.TUNER_WAIT_TIMEOUT);
+
+        if (allocation == null) {
+            Logger.error(`Client ${ip} connected to ${channelId}${streamLabel}, but max streams are running.`);
+
+            sendTunersBusy(res);
+
+            return;
+        }
+
+        if (res.closed) {
+            // gave up while waiting
+            allocation.release();
+
+            return;
+        }
+
+        /**
+         * @type {tabloSource|null}
+         */
+        var picked = null;
+
+        if (kind == "ota" && !HlsSession.get(channelId)) {
+            picked = await freeDevice(channelId, selectedChannel, ip);
+
+            if (picked == null) {
+                allocation.release();
+
+                sendTunersBusy(res);
+
+                return;
+            }
+        }
+
+        if (res.closed) {
+            // gave up while the device was checked
+            allocation.release();
+
+            return;
+        }
+
+        session = HlsSession.get(channelId);
+
+        if (session) {
+            allocation.release();
+
+            return await getHlsSession(req, res);
+        }
+
+        session = HlsSession.create(channelId, selectedChannel.type, makeSessionHooks(channelId, selectedChannel, picked));
+
+        session.allocation = allocation;
+
+        const newSession = session;
+
+        allocation.preempt = () => newSession.close();
+
+        session.onClose = () => {
+            Logger.info(`${Tuners.status(kind)} Stream for ${channelId}${streamLabel} ended`);
+        };
+
+        Logger.info(`${Tuners.status(kind)} Client ${ip} connected to ${channelId}${streamLabel}, proxying playlist.`);
+    }
+
+    try {
+        await session.start();
+
+        return session;
+    } catch (error) {
+        // @ts-ignore
+        Logger.error('Error starting stream:', error.message);
+
+        session.close();
+
+        res.status(500).send('Failed to start stream');
+
+        return;
+    }
+};
+
+/**
+ * HLS playlist end point, proxies the Tablo playlist without ffmpeg
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _channel_playlist(req, res) {
+    const session = await getHlsSession(req, res);
+
+    if (session && session.watchData) {
+        await session.proxy(session.watchData.playlist_url, res);
+    }
+
+    return;
+};
+
+/**
+ * HLS passthrough end point for rewritten playlist and segment urls
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _channel_hls(req, res) {
+    const url = typeof req.query.url == "string" ? req.query.url : "";
+
+    if (url == "") {
+        res.status(400).send('Missing stream url');
+
+        return;
+    }
+
+    const session = await getHlsSession(req, res);
+
+    if (session) {
+        await session.proxy(url, res);
+    }
+
+    return;
+};
+
+/**
+ * guide.xml end point
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ */
+async function _guide_serve(req, res, device = null) {
+    try {
+        const data = FS.readFile(device ? VirtualDevices.guideFile(device) : GUIDE_FILE);
+
+        const headers = {
+            "content-type": "application/xml"
+        }
+
+        res.writeHead(200, headers);
+
+        res.end(data);
+
+        return;
+    } catch (error) {
+        res.status(404).send('Guide not found');
+        return;
+    }
+};
+
+/**
+ * Client name recordings use for tuners, can be listed in ``PRIORITY_CLIENTS``
+ */
+const RECORDING_CLIENT = "dvr";
+
+/**
+ * Reads the cached guide days for a channel
+ * 
+ * @param {string} channelId 
+ * @returns {guideInfo[]}
+ */
+function readGuideAirings(channelId) {
+    /**
+     * @type {guideInfo[]}
+     */
+    const airings = [];
+
+    const guideDays = JSDate.getDaysFromToday(CONST.GUIDE_DAYS);
+
+    for (let z = 0; z < guideDays.length; z++) {
+        const file = path.join(CONST.DIR_NAME, "tempGuide", channelId + "_" + guideDays[z] + ".json");
+
+        if (FS.fileExists(file)) {
+            const data = FS.readJSON(file);
+
+            if (Array.isArray(data)) {
+                airings.push(...data);
+            }
+        }
+    }
+
+    return airings;
+};
+
+/**
+ * Finds a lineup channel by identifier or guide number
+ * 
+ * @param {string} channel 
+ * @returns {{channelId: string, name: string}|undefined}
+ */
+function findChannel(channel) {
+    if (LINEUP_DATA[channel]) {
+        return { channelId: channel, name: LINEUP_DATA[channel].GuideName };
+    }
+
+    const channelId = Object.keys(LINEUP_DATA).find((key) => LINEUP_DATA[key].GuideNumber == channel);
+
+    if (channelId) {
+        return { channelId: channelId, name: LINEUP_DATA[channelId].GuideName };
+    }
+
+    return undefined;
+};
+
+/**
+ * Finds a programme in the cached guide by identifier
+ * 
+ * @param {string} identifier 
+ * @returns {guideInfo|undefined}
+ */
+function findAiring(identifier) {
+    for (const channelId of Object.keys(LINEUP_DATA)) {
+        const airing = readGuideAirings(channelId).find((el) => el.identifier == identifier);
+
+        if (airing) {
+            return airing;
+        }
+    }
+
+    return undefined;
+};
+
+/**
+ * Finds what airs on a channel at a time
+ * 
+ * @param {string} channelId 
+ * @param {number} time - Milliseconds since epoch
+ * @returns {guideInfo|undefined}
+ */
+function findAiringAt(channelId, time) {
+    return readGuideAirings(channelId).find((el) => {
+        const start = new Date(el.datetime).getTime();
+
+        return start <= time && time < start + el.duration * 1000;
+    });
+};
+
+/**
+ * Feeds a channel to a recording's file, allocating a tuner like a client stream
+ * 
+ * @param {import('./Recordings').recordingJob} job 
+ * @param {import('stream').Writable} stream 
+ * @returns {Promise<(() => void)|null>} stops the recording, null when no tuner is free
+ */
+async function recordChannel(job, stream) {
+    const selectedChannel = LINEUP_DATA[job.channelId];
+
+    if (!selectedChannel) {
+        throw new Error(`Channel ${job.channelId} is not in the lineup.`);
+    }
+
+    const session = await openSession(job.channelId, selectedChannel, RECORDING_CLIENT, ` (recording ${job.title})`, "", () => stream.destroyed);
+
+    if (session == null) {
+        return null;
+    }
+
+    if (stream.destroyed) {
+        if (session.clients.size == 0) {
+            session.close();
+        }
+
+        return null;
+    }
+
+    const client = session.addClient(RECORDING_CLIENT, stream);
+
+    try {
+        await session.start();
+    } catch (error) {
+        session.close();
+
+        throw error;
+    }
+
+    return () => {
+        session.removeClient(client);
+    };
+};
+
+/**
+ * Every programme in the cached guide
+ * 
+ * @returns {guideInfo[]}
+ */
+function allAirings() {
+    return Object.keys(LINEUP_DATA).flatMap((channelId) => readGuideAirings(channelId));
+};
+
+/**
+ * Loads saved recordings and series rules and starts their timers
+ */
+function startRecordings() {
+    Recordings.load({
+        channel: findChannel,
+        airing: findAiring,
+        airingAt: findAiringAt,
+        record: recordChannel
+    });
+
+    SeriesRules.load({
+        channel: findChannel,
+        airings: allAirings
+    });
+};
+
+/**
+ * Recordings list end point
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _recordings(req, res) {
+    res.json(Recordings.all);
+
+    return;
+};
+
+/**
+ * Schedule a recording end point
+ * 
+ * Takes JSON with ``airing`` (a guide identifier) or ``channel``, ``start`` and ``end``.
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _recordings_add(req, res) {
+    const body = req.body ?? {};
+
+    try {
+        const job = Recordings.schedule({
+            airing: typeof body.airing == "string" ? body.airing : undefined,
+            channel: body.channel != undefined ? `${body.channel}` : undefined,
+            start: body.start,
+            end: body.end,
+            title: typeof body.title == "string" ? body.title : undefined
+        });
+
+        res.status(201).json(job);
+    } catch (error) {
+        // @ts-ignore
+        Logger.error(`Could not schedule recording: ${error.message}`);
+        // @ts-ignore
+        res.status(400).json({ error: error.message });
+    }
+
+    return;
+};
+
+/**
+ * Upcoming series rule matches end point
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _recordings_upcoming(req, res) {
+    res.json(SeriesRules.upcoming);
+
+    return;
+};
+
+/**
+ * Series rules list end point
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _series_rules(req, res) {
+    res.json(SeriesRules.all);
+
+    return;
+};
+
+/**
+ * Add a series rule end point
+ * 
+ * Takes JSON with ``show`` (a guide show identifier) and optional ``channel``, ``newOnly``, ``padBefore`` and ``padAfter``.
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _series_rules_add(req, res) {
+    const body = req.body ?? {};
+
+    try {
+        const rule = SeriesRules.add({
+            show: typeof body.show == "string" ? body.show : "",
+            channel: body.channel != undefined ? `${body.channel}` : undefined,
+            newOnly: body.newOnly == true || body.newOnly == "true",
+            padBefore: Number(body.padBefore) || 0,
+            padAfter: Number(body.padAfter) || 0
+        });
+
+        res.status(201).json(rule);
+    } catch (error) {
+        // @ts-ignore
+        Logger.error(`Could not add series rule: ${error.message}`);
+        // @ts-ignore
+        res.status(400).json({ error: error.message });
     }
+
+    return;
 };
 
 /**
- * guide.xml end point
+ * Remove a series rule end point, also removes its recordings that haven't started
  * 
  * @param {Request} req 
  * @param {Response} res 
  */
-async function _guide_serve(req, res) {
-    try {
-        const data = FS.readFile(GUIDE_FILE);
+async function _series_rules_remove(req, res) {
+    const id = Array.isArray(req.params.id) ? req.params.id.join("") : req.params.id;
 
-        const headers = {
-            "content-type": "application/xml"
-        }
+    if (SeriesRules.remove(id)) {
+        res.status(204).end();
+    } else {
+        res.status(404).send('Series rule not found');
+    }
 
-        res.writeHead(200, headers);
+    return;
+};
 
-        res.end(data);
+/**
+ * Remove a recording end point, stops it if it's running
+ * 
+ * @param {Request} req 
+ * @param {Response} res 
+ */
+async function _recordings_remove(req, res) {
+    const id = Array.isArray(req.params.id) ? req.params.id.join("") : req.params.id;
 
-        return;
-    } catch (error) {
-        res.status(404).send('Guide not found');
-        return;
+    const job = Recordings.get(id);
+    // a series rule would schedule it again on the next guide refresh
+    if (job && job.ruleId && job.airingId) {
+        SeriesRules.skip(job.ruleId, job.airingId);
+    }
+
+    if (Recordings.remove(id)) {
+        res.status(204).end();
+    } else {
+        res.status(404).send('Recording not found');
     }
+
+    return;
 };
 
 /**
@@ -657,6 +1745,11 @@ async function reqCreds() {
 
     var selectedDevice = false;
 
+    /**
+     * @type {tabloDevice[]}
+     */
+    var selectedDevices = [];
+
     var deviceData;
 
     do {
@@ -724,32 +1817,29 @@ async function reqCreds() {
 
                     return await exit();
                 } else if (deviceData.devices.length == 1) {
-                    const device = deviceData.devices[0];
-
-                    masterCreds.device = device;
-
-                    Logger.info(`Using device ${device.name} ${device.serverId} @ ${device.url}`);
-
-                    selectedDevice = true;
+                    selectedDevices = [deviceData.devices[0]];
                 } else {
                     // lets select which device we want to use
                     if (CONST.TABLO_DEVICE) {
-                        const device = deviceData.devices.find((/**@type {{serverId:string}}*/el) => el.serverId == CONST.TABLO_DEVICE);
-
-                        if (device) {
-                            masterCreds.device = device;
+                        if (CONST.TABLO_DEVICE.toLowerCase() == "all") {
+                            selectedDevices = deviceData.devices;
+                        } else {
+                            // comma separated serverIds
+                            const serverIds = CONST.TABLO_DEVICE.split(",").map((id) => id.trim()).filter((id) => id != "");
 
-                            Logger.info(`Using device ${device.name} ${device.serverId} @ ${device.url}`);
+                            const missing = serverIds.filter((id) => !deviceData.devices.some((/**@type {tabloDevice}*/el) => el.serverId == id));
 
-                            selectedDevice = true;
-                        } else {
-                            Logger.error(`Device with serverId ${CONST.TABLO_DEVICE} not found.`);
+                            if (missing.length == 0) {
+                                selectedDevices = deviceData.devices.filter((/**@type {tabloDevice}*/el) => serverIds.includes(el.serverId));
+                            } else {
+                                Logger.error(`Device with serverId ${missing.join(", ")} not found.`);
 
-                            Logger.warn("Falling back to manual selection.");
+                                Logger.warn("Falling back to manual selection.");
+                            }
                         }
                     }
 
-                    if (!selectedDevice) {
+                    if (selectedDevices.length == 0) {
                         const list = [];
 
                         for (let i = 0; i < deviceData.devices.length; i++) {
@@ -760,17 +1850,27 @@ async function reqCreds() {
                             );
                         }
 
+                        list.push(
+                            { value: ALL_DEVICES }
+                        );
+
                         const answer = await choose("Select which device to use with Plex.", list);
 
-                        const device = deviceData.devices.find((/**@type {{serverId:string}}*/el) => el.serverId == answer);
+                        if (answer == ALL_DEVICES) {
+                            selectedDevices = deviceData.devices;
+                        } else {
+                            selectedDevices = [deviceData.devices.find((/**@type {tabloDevice}*/el) => el.serverId == answer)];
+                        }
+                    }
+                }
 
-                        masterCreds.device = device;
+                for (const device of selectedDevices) {
+                    Logger.info(`Using device ${device.name} ${device.serverId} @ ${device.url}`);
+                }
 
-                        Logger.info(`Using device ${device.name} ${device.serverId} @ ${device.url}`);
+                masterCreds.device = selectedDevices[0];
 
-                        selectedDevice = true;
-                    }
-                }
+                selectedDevice = true;
             } else {
                 if (deviceData.code) {
                     Logger.error(`Account login was not accepted: ${deviceData.message}`);
@@ -791,16 +1891,16 @@ async function reqCreds() {
 
     Logger.info(`Getting account token.`);
 
-    var gotLighthouse = false;
-
     var lighthouseData;
 
     path = "/api/v2/account/select/";
 
-    do {
+    masterCreds.devices = [];
+    // each device has its own account token
+    for (const device of selectedDevices) {
         const req = {
             pid: masterCreds.profile.identifier,
-            sid: masterCreds.device.serverId
+            sid: device.serverId
         };
 
         try {
@@ -809,11 +1909,13 @@ async function reqCreds() {
             lighthouseData = JSON.parse(retData);
 
             if (lighthouseData.token != undefined) {
-                Logger.info(`Account token found!`);
+                Logger.info(`Account token found for ${device.name}!`);
 
-                masterCreds.Lighthouse = lighthouseData.token;
-
-                gotLighthouse = true;
+                masterCreds.devices.push({
+                    device: device,
+                    Lighthouse: lighthouseData.token,
+                    tuners: 2
+                });
             } else {
                 Logger.error(`Account token was not found, try again!`);
 
@@ -826,7 +1928,9 @@ async function reqCreds() {
 
             return await exit();
         }
-    } while (!gotLighthouse);
+    }
+
+    masterCreds.Lighthouse = masterCreds.devices[0].Lighthouse;
 
     headers["Lighthouse"] = masterCreds.Lighthouse;
 
@@ -834,30 +1938,34 @@ async function reqCreds() {
 
     masterCreds.UUID = typeof uuid == "string" ? uuid : "";
 
-    Logger.info(`Connecting to device.`);
+    for (const source of masterCreds.devices) {
+        Logger.info(`Connecting to device ${source.device.name}.`);
 
-    const firstReq = await reqTabloDevice("GET", masterCreds.device.url, `/server/info`, masterCreds.UUID, "lh");
+        const firstReq = await reqTabloDevice("GET", source.device.url, `/server/info`, masterCreds.UUID, "lh");
 
-    try {
-        const reqPars = JSON.parse(firstReq.toString());
+        try {
+            const reqPars = JSON.parse(firstReq.toString());
 
-        if (reqPars && reqPars.model && reqPars.model.tuners) {
-            masterCreds.tuners = reqPars.model.tuners;
+            if (reqPars && reqPars.model && reqPars.model.tuners) {
+                source.tuners = reqPars.model.tuners;
 
-            TUNER_COUNT = reqPars.model.tuners;
+                Logger.info(`Found ${reqPars.model.name} with ${reqPars.model.tuners} max tuners found!`);
 
-            Logger.info(`Found ${reqPars.model.name} with ${TUNER_COUNT} max tuners found!`);
+                Logger.debug("server info");
 
-            Logger.debug("server info");
+                Logger.debug(reqPars);
+            }
+        } catch (error) {
+            Logger.error(`Could not reach device ${source.device.name}. Make sure it's on the same network and try again!`);
 
-            Logger.debug(reqPars);
+            return await exit();
         }
-    } catch (error) {
-        Logger.error(`Could not reach device. Make sure it's on the same network and try again!`);
-
-        return await exit();
     }
 
+    masterCreds.tuners = masterCreds.devices[0].tuners;
+    // tuners are pooled across every device
+    Tuners.setDeviceTuners(masterCreds.devices.reduce((/**@type {number}*/total, /**@type {tabloSource}*/source) => total + source.tuners, 0));
+
     Logger.info(`Credentials successfully created!`);
 
     Object.assign(CREDS_DATA, masterCreds);
@@ -895,8 +2003,16 @@ async function readCreds() {
         }
         try {
             Object.assign(CREDS_DATA, JSON.parse(encryCreds.toString()));
+            // creds made before more than one device could be used
+            if (!Array.isArray(CREDS_DATA.devices)) {
+                CREDS_DATA.devices = [{
+                    device: CREDS_DATA.device,
+                    Lighthouse: CREDS_DATA.Lighthouse,
+                    tuners: CREDS_DATA.tuners
+                }];
+            }
 
-            TUNER_COUNT = CREDS_DATA.tuners;
+            Tuners.setDeviceTuners(CREDS_DATA.devices.reduce((/**@type {number}*/total, /**@type {tabloSource}*/source) => total + source.tuners, 0));
         } catch (error) {
             try {
                 Logger.error("Issue reading decrypted creds file, Removing creds file. Please start app again or use --creds command line to create a new file.");
@@ -914,6 +2030,124 @@ async function readCreds() {
     }
 };
 
+/**
+ * Ways channel numbers become guide ids, picked with ``CHANNEL_NUMBERING``
+ * 
+ * @type {{[scheme:string]: (el: channelLineup, major: string, minor: string|undefined) => string}}
+ */
+const NUMBERING_SCHEMES = {
+    // 5.1 is 511, 2.11 and 21.1 both become 2111
+    legacy: (el, major, minor) => minor == undefined ? major : `${major}${minor}1`,
+    // 5.1 is 501, unique while minors stay under 100
+    padded: (el, major, minor) => minor == undefined ? major : `${major}${minor.padStart(2, "0")}`,
+    dotted: (el, major, minor) => minor == undefined ? major : `${major}.${minor}`,
+    identifier: (el) => el.identifier
+};
+
+/**
+ * @typedef channelInfo
+ * @property {string} number - Channel number, like ``5.1``
+ * @property {string} guideId - ``<channel id>`` in guide.xml, and the ``GuideNumber`` when ``CREATE_XML`` is on
+ * @property {string} name
+ * @property {string|undefined} logo
+ * @property {boolean} hidden
+ * @property {number|null} position
+ * @property {boolean} direct - OTT channel plays from its stream url, not the Tablo
+ */
+
+/**
+ * Number, name and logo of a lineup channel, with channel_map.json applied
+ * 
+ * @param {channelLineup} el 
+ * @returns {channelInfo}
+ */
+function channelInfo(el) {
+    const channel = el.kind == "ota" ? el.ota : el.ott;
+
+    var logo;
+
+    if (el.logos.length != 0) {
+        const lightLarge = el.logos.find(self => self.kind == "lightLarge");
+
+        if (lightLarge) {
+            logo = lightLarge.url;
+        } else {
+            logo = el.logos[0].url;
+        }
+    }
+
+    const override = ChannelMap.get(el.identifier);
+
+    const offset = el.kind == "ott" ? CONST.OTT_NUMBER_OFFSET : 0;
+
+    const number = override.number ?? `${channel.major + offset}.${channel.minor}`;
+
+    const [major, minor] = number.split(".");
+
+    const scheme = NUMBERING_SCHEMES[CONST.CHANNEL_NUMBERING] ?? NUMBERING_SCHEMES.legacy;
+
+    return {
+        number: number,
+        guideId: scheme(el, major, minor),
+        name: override.name ?? channel.network,
+        logo: override.logo ?? logo,
+        hidden: override.hidden == true,
+        position: override.position ?? null,
+        direct: el.kind == "ott" && (override.direct ?? CONST.OTT_DIRECT)
+    };
+};
+
+/**
+ * Channels to show, unknown kinds and hidden ones removed, sorted by their channel_map.json position
+ * 
+ * @param {channelLineup[]} lineUp 
+ * @returns {channelLineup[]}
+ */
+function visibleLineup(lineUp) {
+    return lineUp
+        .filter((el) => (el.kind == "ota" || el.kind == "ott") && !channelInfo(el).hidden)
+        .sort((a, b) => {
+            const posA = channelInfo(a).position ?? Infinity;
+
+            const posB = channelInfo(b).position ?? Infinity;
+
+            return posA == posB ? 0 : posA - posB;
+        });
+};
+
+/**
+ * Channels that share a ``GuideNumber``, which is the guide id when ``CREATE_XML`` is on
+ * 
+ * @param {channelLineup[]} lineUp - Visible channels
+ * @returns {Map<string, channelLineup[]>}
+ */
+function findCollisions(lineUp) {
+    /**
+     * @type {Map<string, channelLineup[]>}
+     */
+    const byId = new Map();
+
+    for (const el of lineUp) {
+        if (CONST.INCLUDE_OTT == false && el.kind == "ott") {
+            continue;
+        }
+
+        const info = channelInfo(el);
+
+        const guideId = CONST.CREATE_XML ? info.guideId : info.number;
+
+        byId.set(guideId, [...(byId.get(guideId) ?? []), el]);
+    }
+
+    for (const [guideId, channels] of byId) {
+        if (channels.length < 2) {
+            byId.delete(guideId);
+        }
+    }
+
+    return byId;
+};
+
 /**
  * Creates XML guide data from downloaded guide files
  * 
@@ -931,54 +2165,46 @@ async function parseGuideData(lineUp) {
 
         xw.writeAttribute('generator-info-name', CONST.NAME);
 
-        for (let i = 0; i < lineUp.length; i++) {
-            const el = lineUp[i];
+        const visible = visibleLineup(lineUp);
+
+        const collisions = findCollisions(visible);
+
+        for (let i = 0; i < visible.length; i++) {
+            const el = visible[i];
 
             if(CONST.INCLUDE_OTT == false && el.kind == "ott"){
                 continue;
             }
 
-            // write channel
-            xw.startElement('channel');
-
-            var channelNum = "";
-
-            if (el.kind == "ota") {
-                channelNum = `${el.ota.major}${el.ota.minor}1`;
-
-                xw.writeAttribute('id', channelNum);
+            const info = channelInfo(el);
 
-                xw.startElement('display-name');
+            const sharing = collisions.get(info.guideId);
+            // only the first channel with an id gets guide data, the rest would mix into it
+            if (sharing && sharing[0] != el) {
+                Logger.warn(`Leaving ${el.identifier} out of the guide, ${sharing[0].identifier} already uses id ${info.guideId}.`);
 
-                xw.writeAttribute('lang', 'en');
+                continue;
+            }
 
-                xw.text(el.ota.network);
+            // write channel
+            xw.startElement('channel');
 
-                xw.endElement(); // display-name
-            } else {
-                channelNum = `${el.ott.major}${el.ott.minor}1`;
+            const channelNum = info.guideId;
 
-                xw.writeAttribute('id', channelNum);
+            xw.writeAttribute('id', channelNum);
 
-                xw.startElement('display-name');
+            xw.startElement('display-name');
 
-                xw.writeAttribute('lang', 'en');
+            xw.writeAttribute('lang', 'en');
 
-                xw.text(el.ott.network);
+            xw.text(info.name);
 
-                xw.endElement(); // display-name
-            }
+            xw.endElement(); // display-name
 
-            if (el.logos.length != 0) {
+            if (info.logo) {
                 xw.startElement('icon');
 
-                const lightLarge = el.logos.find(self => self.kind == "lightLarge");
-
-                if (lightLarge) {
-                    xw.writeAttribute('src', lightLarge.url);
-                } else {
-                    xw.writeAttribute('src', el.logos[0].url);
-                }
+                xw.writeAttribute('src', info.logo);
 
                 xw.endElement(); // icon
             }
@@ -1196,8 +2422,66 @@ async function parseGuideData(lineUp) {
 
 /**
  * Downloads guide files 
+ * 
+ * Only one update runs at a time, calling this while one is running waits on it.
+ * 
+ * @returns {Promise<void>}
  */
 async function cacheGuideData() {
+    if (GUIDE_TASK == null) {
+        GUIDE_CANCELED = false;
+
+        GUIDE_PROGRESS = 0;
+
+        GUIDE_TASK = _cacheGuideData().finally(() => {
+            GUIDE_TASK = null;
+        });
+    }
+
+    return GUIDE_TASK;
+};
+
+/**
+ * Progress of the running guide update
+ * 
+ * @returns {number} ``0`` to ``1``
+ */
+function guideProgress() {
+    return GUIDE_PROGRESS;
+};
+
+/**
+ * Channels in the current lineup
+ * 
+ * @returns {number}
+ */
+function lineupCount() {
+    return Object.keys(LINEUP_DATA).length;
+};
+
+/**
+ * Stops a running guide update and waits for it to end.
+ * 
+ * The current file finishes writing and guide.xml is left as it was.
+ */
+async function stopGuideData() {
+    if (GUIDE_TASK != null) {
+        GUIDE_CANCELED = true;
+
+        Logger.info(`Waiting for guide update to stop...`);
+
+        try {
+            await GUIDE_TASK;
+        } catch (error) {
+            Logger.error(`Guide update ended with an error.`, error);
+        }
+    }
+};
+
+/**
+ * Downloads guide files and builds guide.xml
+ */
+async function _cacheGuideData() {
     const tempFolder = path.join(CONST.DIR_NAME, "tempGuide");
 
     if (!FS.directoryExists(tempFolder)) {
@@ -1227,6 +2511,16 @@ async function cacheGuideData() {
         const el = lineup[i];
 
         for (let z = 0; z < guideDays.length; z++) {
+            if (GUIDE_CANCELED) {
+                process.stdout.write('\n');
+
+                Logger.info(`Guide update stopped, keeping the last guide.xml.`);
+
+                return;
+            }
+
+            GUIDE_PROGRESS = totalFiles ? currentFile / totalFiles : 0;
+
             const guideDay = guideDays[z];
 
             const fileName = el.identifier + "_" + guideDay + ".json";
@@ -1241,7 +2535,7 @@ async function cacheGuideData() {
                 'User-Agent': 'Tablo-FAST/2.0.0 (Mobile; iPhone; iOS 16.6)',
                 'Accept': '*/*',
                 "Authorization": CREDS_DATA.lighthousetvAuthorization,
-                'Lighthouse': CREDS_DATA.Lighthouse
+                'Lighthouse': lighthouseFor(el)
             };
 
             if (!FS.fileExists(file)) {
@@ -1321,7 +2615,37 @@ async function cacheGuideData() {
 
     const xmlData = await parseGuideData(lineup);
 
-    FS.writeFile(xmlData, GUIDE_FILE);
+    if (GUIDE_CANCELED) {
+        Logger.info(`Guide update stopped, keeping the last guide.xml.`);
+
+        return;
+    }
+    // write to a temp file first so a crash never leaves half a guide
+    const tempGuide = GUIDE_FILE + ".tmp";
+
+    FS.writeFile(xmlData, tempGuide);
+
+    fs.renameSync(tempGuide, GUIDE_FILE);
+    // each virtual device gets a guide with only its channels
+    for (const device of VirtualDevices.all) {
+        const deviceLineup = visibleLineup(lineup).filter((el) => {
+            return VirtualDevices.includes(device, el.identifier, el.kind, channelInfo(el).number);
+        });
+
+        const deviceXml = await parseGuideData(deviceLineup);
+
+        if (GUIDE_CANCELED) {
+            return;
+        }
+
+        const deviceFile = VirtualDevices.guideFile(device);
+
+        FS.writeFile(deviceXml, deviceFile + ".tmp");
+
+        fs.renameSync(deviceFile + ".tmp", deviceFile);
+    }
+
+    SeriesRules.evaluate();
 
     return;
 };
@@ -1338,62 +2662,75 @@ async function parseLineup(lineup = undefined) {
     var lineupParse = lineup ?? FS.readJSON(LINEUP_FILE);
 
     try {
+        ChannelMap.load();
+        // rebuilt so removed and hidden channels drop out
+        for (const key of Object.keys(LINEUP_DATA)) {
+            delete LINEUP_DATA[key];
+
+            delete CHANNEL_INFO[key];
+        }
+
         for (let i = 0; i < lineupParse.length; i++) {
             const el = lineupParse[i];
 
-            var ImageURL;
+            if (el.kind != "ota" && el.kind != "ott") {
+                Logger.error("Unknown lineup type:");
 
-            if (el.logos.length != 0) {
+                Logger.error(el);
+            }
+        }
 
-                const lightLarge = el.logos.find(self => self.kind == "lightLarge");
+        const visible = visibleLineup(lineupParse);
 
-                if (lightLarge) {
-                    ImageURL = lightLarge.url;
-                } else {
-                    ImageURL = el.logos[0].url;
-                }
-            }
+        for (const [guideId, channels] of findCollisions(visible)) {
+            const list = channels.map((el) => `${el.identifier} (${channelInfo(el).number})`).join(", ");
 
-            if (el.kind == "ota") {
-                var GuideNumber = `${el.ota.major}.${el.ota.minor}`;
+            Logger.error(`${C_HEX.red}Channel number collision:${C_HEX.reset} ${list} all become ${guideId}. Plex can't tell them apart and only the first gets guide data, change CHANNEL_NUMBERING or renumber them in channel_map.json.`);
+        }
 
-                if(CONST.CREATE_XML){
-                    GuideNumber = `${el.ota.major}${el.ota.minor}1`;
-                }
+        for (let i = 0; i < visible.length; i++) {
+            const el = visible[i];
+
+            const info = channelInfo(el);
+
+            const ImageURL = info.logo;
+
+            const devices = el.sources ?? [CREDS_DATA.device.serverId];
+
+            const deviceUrl = sourceFor(devices[0]).device.url;
+
+            const GuideNumber = CONST.CREATE_XML ? info.guideId : info.number;
+
+            if (el.kind == "ota") {
+                CHANNEL_INFO[el.identifier] = info;
 
                 LINEUP_DATA[el.identifier] = {
                     GuideNumber: GuideNumber,
-                    GuideName: el.ota.network,
+                    GuideName: info.name,
                     ImageURL: ImageURL,
                     Affiliate: el.ota.callSign,
                     URL: `${CONST.SERVER_URL}/channel/${el.identifier}`,
                     type: "ota",
-                    streamUrl: `${CREDS_DATA.device.url}/guide/channels/${el.identifier}/watch`,
-                    srcURL: `${CREDS_DATA.device.url}/guide/channels/${el.identifier}/watch`
+                    streamUrl: `${deviceUrl}/guide/channels/${el.identifier}/watch`,
+                    srcURL: `${deviceUrl}/guide/channels/${el.identifier}/watch`,
+                    devices: devices
                 }
             } else if (el.kind == "ott") {
-                var GuideNumber = `${el.ott.major}.${el.ott.minor}`;
-
-                if(CONST.CREATE_XML){
-                    GuideNumber = `${el.ott.major}${el.ott.minor}1`;
-                }
-
                 if(CONST.INCLUDE_OTT){
+                    CHANNEL_INFO[el.identifier] = info;
+
                     LINEUP_DATA[el.identifier] = {
                         GuideNumber: GuideNumber,
-                        GuideName: el.ott.network,
+                        GuideName: info.name,
                         ImageURL: ImageURL,
                         Affiliate: el.ott.callSign,
                         URL: `${CONST.SERVER_URL}/channel/${el.identifier}`,
                         type: "ott",
                         streamUrl: el.ott.streamUrl,
-                        srcURL: `${CREDS_DATA.device.url}/guide/channels/${el.identifier}/watch`,
+                        srcURL: `${deviceUrl}/guide/channels/${el.identifier}/watch`,
+                        devices: devices
                     }
                 }
-            } else {
-                Logger.error("Unknown lineup type:");
-
-                Logger.error(el);
             }
         }
 
@@ -1405,20 +2742,43 @@ async function parseLineup(lineup = undefined) {
     }
 };
 
+/**
+ * Finds a device from the creds by serverId, the first device if it's gone
+ * 
+ * @param {string} serverId 
+ * @returns {tabloSource}
+ */
+function sourceFor(serverId) {
+    return CREDS_DATA.devices.find((/**@type {tabloSource}*/source) => source.device.serverId == serverId) ?? CREDS_DATA.devices[0];
+};
+
+/**
+ * Account token for guide requests on a channel, from the first device with it
+ * 
+ * @param {channelLineup} channel 
+ * @returns {string}
+ */
+function lighthouseFor(channel) {
+    if (channel.sources && channel.sources.length != 0) {
+        return sourceFor(channel.sources[0]).Lighthouse;
+    }
+
+    return CREDS_DATA.Lighthouse;
+};
+
 /**
  * Requests new channel line up data
+ * 
+ * Channels from every device are merged, each tagged with the devices that have it.
+ * Changes from the last lineup are logged and kept in lineup_history.json.
  */
 async function makeLineup() {
     await readCreds();
 
     var host = `lighthousetv.ewscloud.com`;
 
-    var path = `/api/v2/account/${CREDS_DATA.Lighthouse}/guide/channels/`;
-
     const headers = {};
 
-    headers['Lighthouse'] = CREDS_DATA.Lighthouse;
-
     headers['Accept'] = '*/*';
 
     headers['User-Agent'] = 'Tablo-FAST/2.0.0 (Mobile; iPhone; iOS 16.6)';
@@ -1428,12 +2788,42 @@ async function makeLineup() {
     headers['Content-Type'] = 'application/json';
 
     try {
-        const retData = await makeHTTPSRequest("GET", host, path, headers);
-
         /**
          * @type {channelLineup[]}
          */
-        var lineupParse = JSON.parse(retData);
+        var lineupParse = [];
+
+        /**
+         * @type {{[key:string]:channelLineup}}
+         */
+        const merged = {};
+
+        for (const source of /**@type {tabloSource[]}*/(CREDS_DATA.devices)) {
+            const path = `/api/v2/account/${source.Lighthouse}/guide/channels/`;
+
+            headers['Lighthouse'] = source.Lighthouse;
+
+            const retData = await makeHTTPSRequest("GET", host, path, headers);
+
+            /**
+             * @type {channelLineup[]}
+             */
+            const deviceLineup = JSON.parse(retData);
+
+            for (const el of deviceLineup) {
+                const existing = merged[el.identifier];
+                // same channel on more than one device, either can tune it
+                if (existing) {
+                    existing.sources = [...(existing.sources ?? []), source.device.serverId];
+                } else {
+                    el.sources = [source.device.serverId];
+
+                    merged[el.identifier] = el;
+
+                    lineupParse.push(el);
+                }
+            }
+        }
 
         if(CONST.INCLUDE_OTT == false){
             var newlineupParse = [];
@@ -1446,9 +2836,21 @@ async function makeLineup() {
             lineupParse = newlineupParse;
         }
 
+        const hadLineup = FS.fileExists(LINEUP_FILE);
+        // a one-time --lineup update hasn't loaded the old lineup yet
+        if (hadLineup && Object.keys(LINEUP_DATA).length == 0) {
+            await parseLineup();
+        }
+
+        const before = LineupHistory.snapshot(LINEUP_DATA);
+
         FS.writeJSON(JSON.stringify(lineupParse, null, 4), LINEUP_FILE);
 
         await parseLineup(lineupParse);
+
+        if (hadLineup) {
+            LineupHistory.record(LineupHistory.diff(before, LineupHistory.snapshot(LINEUP_DATA)));
+        }
     } catch (error) {
         Logger.error("Issue with creating new lineup file.", error);
     }
@@ -1457,12 +2859,27 @@ async function makeLineup() {
 module.exports = {
     startUpMessage,
     makeDiscover,
+    makeDeviceXml,
     _lineup,
+    _lineup_m3u,
     _channel,
+    _channel_playlist,
+    _channel_hls,
     _guide_serve,
+    _recordings,
+    _recordings_add,
+    _recordings_remove,
+    _recordings_upcoming,
+    _series_rules,
+    _series_rules_add,
+    _series_rules_remove,
+    startRecordings,
     readCreds,
     reqCreds,
     makeLineup,
     cacheGuideData,
+    stopGuideData,
+    guideProgress,
+    lineupCount,
     parseLineup
 };
@@ -411,6 +411,17 @@ class FS {
         });
     }
 
+    /**
+     * File size short hand. Example: ``1.5kb``.
+     * 
+     * @static
+     * @param {number} bytes - Size
+     * @returns {string} formatted
+     */
+    static fileSize(bytes) {
+        return _formatFileSize(bytes);
+    };
+
     /**
      * Writes a file. Will create the directory if it doesn't exist.
      * 
@@ -0,0 +1,304 @@
+// @ts-check
+const crypto = require('crypto');
+const dgram = require('dgram');
+const zlib = require('zlib');
+
+const {
+    CONST
+} = require('./Constants');
+const Logger = require('./Logger');
+const SSDP = require('./SSDP');
+
+/**
+ * Port HDHomeRun tools send discovery packets to
+ */
+const DISCOVER_PORT = 65001;
+
+/**
+ * Packet types
+ */
+const TYPE_DISCOVER_REQ = 0x0002;
+const TYPE_DISCOVER_RPY = 0x0003;
+
+/**
+ * Tags used in discovery packets
+ */
+const TAG_DEVICE_TYPE = 0x01;
+const TAG_DEVICE_ID = 0x02;
+const TAG_TUNER_COUNT = 0x10;
+const TAG_LINEUP_URL = 0x27;
+const TAG_BASE_URL = 0x2A;
+const TAG_DEVICE_AUTH_STR = 0x2B;
+
+/**
+ * Device types and ids
+ */
+const DEVICE_TYPE_TUNER = 0x00000001;
+const DEVICE_TYPE_WILDCARD = 0xFFFFFFFF;
+const DEVICE_ID_WILDCARD = 0xFFFFFFFF;
+
+/**
+ * @typedef {import('./Device').discoverData} discoverData
+ */
+
+/**
+ * Encodes one tag, length and value.
+ *
+ * Lengths over 127 bytes take a second byte.
+ *
+ * @param {number} tag
+ * @param {Buffer} value
+ * @returns {Buffer}
+ */
+function _tlv(tag, value) {
+    const length = value.length <= 127 ?
+        Buffer.from([value.length]) :
+        Buffer.from([(value.length & 0x7F) | 0x80, value.length >> 7]);
+
+    return Buffer.concat([Buffer.from([tag]), length, value]);
+};
+
+/**
+ * @param {number} value
+ * @returns {Buffer}
+ */
+function _uint32(value) {
+    const buf = Buffer.alloc(4);
+
+    buf.writeUInt32BE(value >>> 0);
+
+    return buf;
+};
+
+/**
+ * Adds the packet header and CRC to a payload.
+ *
+ * @param {number} type
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function _packet(type, payload) {
+    const header = Buffer.alloc(4);
+
+    header.writeUInt16BE(type, 0);
+
+    header.writeUInt16BE(payload.length, 2);
+
+    const body = Buffer.concat([header, payload]);
+
+    const crc = Buffer.alloc(4);
+
+    crc.writeUInt32LE(zlib.crc32(body) >>> 0);
+
+    return Buffer.concat([body, crc]);
+};
+
+/**
+ * Reads the tags from a packet, ``null`` if the packet isn't valid.
+ *
+ * @param {Buffer} msg
+ * @returns {{type: number, tags: {tag: number, value: Buffer}[]}|null}
+ */
+function _parse(msg) {
+    if (msg.length < 8) {
+        return null;
+    }
+
+    const type = msg.readUInt16BE(0);
+
+    const length = msg.readUInt16BE(2);
+
+    if (msg.length != length + 8) {
+        return null;
+    }
+
+    if ((zlib.crc32(msg.subarray(0, length + 4)) >>> 0) != msg.readUInt32LE(length + 4)) {
+        return null;
+    }
+
+    /**
+     * @type {{tag: number, value: Buffer}[]}
+     */
+    const tags = [];
+
+    var pos = 4;
+
+    const end = length + 4;
+
+    while (pos + 2 <= end) {
+        const tag = msg[pos++];
+
+        var size = msg[pos++];
+
+        if (size & 0x80) {
+            if (pos >= end) {
+                return null;
+            }
+
+            size = (size & 0x7F) | (msg[pos++] << 7);
+        }
+
+        if (pos + size > end) {
+            return null;
+        }
+
+        tags.push({ tag: tag, value: msg.subarray(pos, pos + size) });
+
+        pos += size;
+    }
+
+    return { type: type, tags: tags };
+};
+
+/**
+ * Static class for the SiliconDust UDP discovery protocol.
+ *
+ * Answers discover requests the way an HDHomeRun tuner does, with the same data as ``/discover.json``.
+ *
+ * ```javascript
+ * HDHomeRun.start(makeDiscover);
+ *
+ * HDHomeRun.stop();
+ * ```
+ *
+ * @class
+ */
+class HDHomeRun {
+    /**
+     * @type {dgram.Socket|null}
+     */
+    static #socket = null;
+
+    /**
+     * @type {(() => discoverData)|null}
+     */
+    static #discover = null;
+
+    /**
+     * ``DEVICE_ID`` as the 32 bit id HDHomeRun tools show.
+     *
+     * Hex ids like ``12345679`` are used as is, anything else is hashed.
+     *
+     * @static
+     * @type {number}
+     */
+    static get deviceId() {
+        const id = `${CONST.DEVICE_ID}`;
+
+        if (/^[0-9a-f]{1,8}$/i.test(id)) {
+            return parseInt(id, 16);
+        }
+
+        return crypto.createHash('md5').update(id).digest().readUInt32BE(0);
+    };
+
+    /**
+     * Starts answering discover requests.
+     *
+     * @static
+     * @param {() => discoverData} discover - Makes the ``/discover.json`` data
+     */
+    static start(discover) {
+        if (this.#socket) {
+            return;
+        }
+
+        this.#discover = discover;
+
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+        this.#socket = socket;
+
+        socket.on('error', (error) => {
+            Logger.warn(`HDHomeRun discovery is off, port ${DISCOVER_PORT} could not be used:`, error.message);
+
+            this.stop();
+        });
+
+        socket.on('message', (msg, rinfo) => {
+            this.#onMessage(msg, rinfo);
+        });
+
+        socket.bind(DISCOVER_PORT, () => {
+            Logger.debug(`HDHomeRun discovery running as ${this.deviceId.toString(16).toUpperCase().padStart(8, '0')}`);
+        });
+    };
+
+    /**
+     * Stops answering discover requests.
+     *
+     * @static
+     */
+    static stop() {
+        if (this.#socket) {
+            const socket = this.#socket;
+
+            this.#socket = null;
+
+            try {
+                socket.close();
+            } catch (error) {
+                // already closed
+            }
+        }
+    };
+
+    /**
+     * @param {Buffer} msg
+     * @param {dgram.RemoteInfo} rinfo
+     */
+    static #onMessage(msg, rinfo) {
+        const packet = _parse(msg);
+
+        if (packet == null || packet.type != TYPE_DISCOVER_REQ || this.#discover == null) {
+            return;
+        }
+
+        const deviceId = this.deviceId;
+
+        for (const { tag, value } of packet.tags) {
+            if (value.length != 4) {
+                continue;
+            }
+
+            const num = value.readUInt32BE(0);
+
+            if (tag == TAG_DEVICE_TYPE && num != DEVICE_TYPE_WILDCARD && num != DEVICE_TYPE_TUNER) {
+                return;
+            }
+
+            if (tag == TAG_DEVICE_ID && num != DEVICE_ID_WILDCARD && num != deviceId) {
+                return;
+            }
+        }
+
+        Logger.debug(`HDHomeRun discover request from ${rinfo.address}`);
+
+        const discover = this.#discover();
+
+        const baseUrl = `http://${SSDP.addressFor(rinfo.address)}:${CONST.PORT}`;
+
+        const payload = Buffer.concat([
+            _tlv(TAG_DEVICE_TYPE, _uint32(DEVICE_TYPE_TUNER)),
+            _tlv(TAG_DEVICE_ID, _uint32(deviceId)),
+            _tlv(TAG_TUNER_COUNT, Buffer.from([Math.min(255, Math.max(0, discover.TunerCount))])),
+            _tlv(TAG_DEVICE_AUTH_STR, Buffer.from(discover.DeviceAuth)),
+            _tlv(TAG_BASE_URL, Buffer.from(baseUrl)),
+            _tlv(TAG_LINEUP_URL, Buffer.from(`${baseUrl}/lineup.json`))
+        ]);
+
+        const socket = this.#socket;
+
+        if (socket == null) {
+            return;
+        }
+
+        socket.send(_packet(TYPE_DISCOVER_RPY, payload), rinfo.port, rinfo.address, (error) => {
+            if (error) {
+                Logger.debug(`HDHomeRun discover reply to ${rinfo.address} failed:`, error);
+            }
+        });
+    };
+};
+
+module.exports = HDHomeRun;
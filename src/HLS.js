@@ -0,0 +1,1017 @@
+// @ts-check
+/**
+ * @typedef {import('express').Response} Response
+ */
+
+const { EventEmitter } = require('events');
+const { Readable, PassThrough, pipeline } = require('stream');
+
+const Logger = require('./Logger');
+
+/**
+ * A passthrough session is released when no playlist or segment request arrives for this long
+ */
+const HLS_IDLE_TIMEOUT = 30 * 1000;
+
+/**
+ * Times a segment download is retried before it is skipped
+ */
+const SEGMENT_RETRIES = 3;
+
+/**
+ * Times in a row a playlist reload may fail before the remuxer gives up
+ */
+const PLAYLIST_RETRIES = 3;
+
+/**
+ * Wait between download retries
+ */
+const RETRY_DELAY = 1000;
+
+/**
+ * Segments behind the live edge the remuxer starts from
+ */
+const LIVE_EDGE_SEGMENTS = 3;
+
+/**
+ * Size of a single MPEG-TS packet
+ */
+const TS_PACKET_SIZE = 188;
+
+/**
+ * PID of the program association table
+ */
+const PAT_PID = 0;
+
+/**
+ * CRC32 lookup table for MPEG-TS table sections, polynomial ``0x04C11DB7`` unreflected
+ */
+const PSI_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+
+        table[i] = crc >>> 0;
+    }
+
+    return table;
+})();
+
+/**
+ * @typedef mediaSegment
+ * @property {string} url - Absolute segment URL
+ * @property {number} duration - Segment length in seconds
+ * @property {number} sequence - Media sequence number
+ * @property {boolean} discontinuity - Follows an ``#EXT-X-DISCONTINUITY``
+ *
+ * @typedef mediaPlaylist
+ * @property {number} targetDuration
+ * @property {number} mediaSequence
+ * @property {boolean} endList
+ * @property {string|null} unsupported - Reason the playlist can't be remuxed
+ * @property {mediaSegment[]} segments
+ *
+ * @typedef variantStream
+ * @property {string} url - Absolute playlist URL
+ * @property {number} bandwidth
+ */
+
+/**
+ * @typedef {import('./Sessions').watchData} watchData
+ * @typedef {import('./Sessions').sessionHooks} sessionHooks
+ */
+
+/**
+ * Resolves a playlist URI against the playlist it came from.
+ *
+ * @param {string} base - URL of the playlist
+ * @param {string} uri - URI as written in the playlist
+ * @returns {string}
+ */
+function resolveUri(base, uri) {
+    return new URL(uri, base).toString();
+};
+
+/**
+ * Rewrites every URI in a playlist, including ``URI="..."`` attributes on tags.
+ *
+ * @param {string} text - Playlist text
+ * @param {string} base - URL of the playlist
+ * @param {(url: string) => string} rewrite - Returns the new URI for an absolute URL
+ * @returns {string}
+ */
+function rewritePlaylist(text, base, rewrite) {
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (line == "") {
+            continue;
+        } else if (line.startsWith("#")) {
+            lines[i] = line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${rewrite(resolveUri(base, uri))}"`);
+        } else {
+            lines[i] = rewrite(resolveUri(base, line));
+        }
+    }
+
+    return lines.join("\n");
+};
+
+/**
+ * Reads the variant streams from a master playlist.
+ *
+ * @param {string} text - Playlist text
+ * @param {string} base - URL of the playlist
+ * @returns {variantStream[]} empty for a media playlist
+ */
+function parseMasterPlaylist(text, base) {
+    const lines = text.split(/\r?\n/);
+
+    /**
+     * @type {variantStream[]}
+     */
+    const variants = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (line.startsWith("#EXT-X-STREAM-INF")) {
+            const bandwidth = line.match(/[:,]BANDWIDTH=(\d+)/);
+
+            const uri = (lines[i + 1] || "").trim();
+
+            if (uri != "" && !uri.startsWith("#")) {
+                variants.push({
+                    url: resolveUri(base, uri),
+                    bandwidth: bandwidth ? Number(bandwidth[1]) : 0
+                });
+            }
+        }
+    }
+
+    return variants;
+};
+
+/**
+ * Reads the segments from a media playlist.
+ *
+ * @param {string} text - Playlist text
+ * @param {string} base - URL of the playlist
+ * @returns {mediaPlaylist}
+ */
+function parseMediaPlaylist(text, base) {
+    const lines = text.split(/\r?\n/);
+
+    /**
+     * @type {mediaPlaylist}
+     */
+    const playlist = {
+        targetDuration: 2,
+        mediaSequence: 0,
+        endList: false,
+        unsupported: null,
+        segments: []
+    };
+
+    var duration = 0;
+
+    var discontinuity = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (line == "") {
+            continue;
+        } else if (line.startsWith("#EXT-X-TARGETDURATION:")) {
+            playlist.targetDuration = Number(line.slice(22)) || playlist.targetDuration;
+        } else if (line.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+            playlist.mediaSequence = Number(line.slice(22)) || 0;
+        } else if (line.startsWith("#EXTINF:")) {
+            duration = parseFloat(line.slice(8)) || 0;
+        } else if (line.startsWith("#EXT-X-DISCONTINUITY") && !line.startsWith("#EXT-X-DISCONTINUITY-SEQUENCE")) {
+            discontinuity = true;
+        } else if (line.startsWith("#EXT-X-ENDLIST")) {
+            playlist.endList = true;
+        } else if (line.startsWith("#EXT-X-KEY") && !/METHOD=NONE/.test(line)) {
+            playlist.unsupported = "encrypted segments";
+        } else if (line.startsWith("#EXT-X-MAP")) {
+            playlist.unsupported = "fMP4 segments";
+        } else if (!line.startsWith("#")) {
+            playlist.segments.push({
+                url: resolveUri(base, line),
+                duration: duration,
+                sequence: playlist.mediaSequence + playlist.segments.length,
+                discontinuity: discontinuity
+            });
+
+            duration = 0;
+
+            discontinuity = false;
+        }
+    }
+
+    return playlist;
+};
+
+/**
+ * Tests if a response or URL is a playlist rather than a media segment.
+ *
+ * @param {string} url
+ * @param {string|null} contentType
+ */
+function isPlaylist(url, contentType) {
+    if (contentType && /mpegurl/i.test(contentType)) {
+        return true;
+    }
+
+    return /\.m3u8?$/i.test(new URL(url).pathname);
+};
+
+/**
+ * A Tablo watch session served to HLS capable clients without ffmpeg.
+ *
+ * The Tablo playlist and its segments are proxied with their URIs rewritten to
+ * ``/channel/:channelId/hls?url=``, and the session is released once requests stop arriving.
+ *
+ * @class
+ */
+class HlsSession {
+    /**
+     * Running passthrough sessions by channel id
+     *
+     * @type {Map<string, HlsSession>}
+     */
+    static #sessions = new Map();
+
+    channelId = "";
+    type = "ota";
+    started = 0;
+    lastRequest = 0;
+    closed = false;
+    /**
+     * @type {watchData|null}
+     */
+    watchData = null;
+    /**
+     * @type {Promise<void>|null}
+     */
+    ready = null;
+    /**
+     * @type {NodeJS.Timeout|null}
+     */
+    keepaliveId = null;
+    /**
+     * @type {NodeJS.Timeout|null}
+     */
+    idleId = null;
+    /**
+     * Tuner or OTT slot held by the session, released on close
+     *
+     * @type {import('./Tuners').TunerAllocation|null}
+     */
+    allocation = null;
+    /**
+     * @type {sessionHooks}
+     */
+    hooks;
+    /**
+     * Called once the session has been torn down.
+     *
+     * @type {(session: HlsSession) => void}
+     */
+    onClose = () => { };
+    /**
+     * @param {string} channelId - Tablo channel identifier
+     * @param {string} type - "ota" or "ott"
+     * @param {sessionHooks} hooks - Device functions the session needs
+     */
+    constructor(channelId, type, hooks) {
+        this.channelId = channelId;
+
+        this.type = type;
+
+        this.hooks = hooks;
+    }
+
+    /**
+     * Returns the running passthrough session for a channel.
+     *
+     * @static
+     * @param {string} channelId
+     * @returns {HlsSession|undefined}
+     */
+    static get(channelId) {
+        return this.#sessions.get(channelId);
+    };
+
+    /**
+     * Creates and registers a new passthrough session for a channel.
+     *
+     * @static
+     * @param {string} channelId
+     * @param {string} type - "ota" or "ott"
+     * @param {sessionHooks} hooks
+     * @returns {HlsSession}
+     */
+    static create(channelId, type, hooks) {
+        const session = new HlsSession(channelId, type, hooks);
+
+        this.#sessions.set(channelId, session);
+
+        return session;
+    };
+
+    /**
+     * All running passthrough sessions.
+     *
+     * @static
+     * @type {HlsSession[]}
+     */
+    static get all() {
+        return Array.from(this.#sessions.values());
+    };
+
+    /**
+     * Requests the watch session from the device.
+     *
+     * Safe to await from more than one caller.
+     *
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (this.ready == null) {
+            this.ready = this.#start();
+        }
+
+        return this.ready;
+    };
+
+    async #start() {
+        this.lastRequest = Date.now();
+
+        const channelJSON = await this.hooks.watch();
+
+        if (this.closed) {
+            // closed while the device was answering, nothing else will release it
+            this.hooks.release(channelJSON).catch((error) => {
+                Logger.debug(`Releasing ${this.channelId} (HLS) session failed:`, error);
+            });
+
+            return;
+        }
+
+        this.watchData = channelJSON;
+
+        this.started = Date.now();
+
+        if (channelJSON.keepalive > 0) {
+            Logger.debug(`Sending keepalive for ${this.channelId} (HLS) every ${channelJSON.keepalive} seconds, session expires ${channelJSON.expires}`);
+
+            this.keepaliveId = setInterval(async () => {
+                Logger.debug(`Keepalive for ${this.channelId} (HLS) session ${channelJSON.token}`);
+
+                try {
+                    await this.hooks.keepalive(channelJSON);
+                } catch (error) {
+                    Logger.debug(`Keepalive for ${this.channelId} (HLS) failed:`, error);
+                }
+            }, channelJSON.keepalive * 1000);
+        }
+
+        this.idleId = setInterval(() => {
+            if (Date.now() - this.lastRequest >= HLS_IDLE_TIMEOUT) {
+                Logger.debug(`No HLS requests for ${this.channelId} in ${HLS_IDLE_TIMEOUT / 1000} seconds.`);
+
+                this.close();
+            }
+        }, 1000);
+    };
+
+    /**
+     * Proxies a playlist or segment from the device to the client.
+     *
+     * Only URLs on the same host as the watch playlist are served.
+     *
+     * @param {string} url - Absolute upstream URL
+     * @param {Response} res
+     */
+    async proxy(url, res) {
+        this.lastRequest = Date.now();
+
+        if (this.watchData == null) {
+            res.status(503).send('Stream not ready');
+
+            return;
+        }
+
+        const origin = new URL(this.watchData.playlist_url).host;
+
+        var target;
+
+        try {
+            target = new URL(url);
+        } catch (error) {
+            res.status(400).send('Bad stream url');
+
+            return;
+        }
+
+        if (target.host != origin) {
+            Logger.error(`Refusing to proxy ${url} for ${this.channelId}`);
+
+            res.status(403).send('Forbidden');
+
+            return;
+        }
+
+        // stops the download when the client goes away
+        const controller = new AbortController();
+
+        res.on('close', () => controller.abort());
+
+        try {
+            const upstream = await fetch(target.toString(), { signal: controller.signal });
+
+            if (!upstream.ok || upstream.body == null) {
+                Logger.error(`HLS request ${target.pathname} for ${this.channelId} failed with status code:`, upstream.status);
+
+                res.status(upstream.status == 404 ? 404 : 502).send('Failed to load stream');
+
+                return;
+            }
+
+            const contentType = upstream.headers.get('content-type');
+
+            if (isPlaylist(target.toString(), contentType)) {
+                const text = await upstream.text();
+
+                const playlist = rewritePlaylist(text, target.toString(), (abs) => `/channel/${this.channelId}/hls?url=${encodeURIComponent(abs)}`);
+
+                res.writeHead(200, {
+                    'Content-Type': 'application/vnd.apple.mpegurl',
+                    'Cache-Control': 'no-cache'
+                });
+
+                res.end(playlist);
+            } else {
+                res.writeHead(200, {
+                    'Content-Type': contentType || 'video/mp2t'
+                });
+                // @ts-ignore
+                pipeline(Readable.fromWeb(upstream.body), res, (error) => {
+                    if (error && !controller.signal.aborted) {
+                        Logger.error(`HLS request ${target.pathname} for ${this.channelId} failed mid stream:`, error.message);
+                    }
+                });
+            }
+        } catch (error) {
+            if (controller.signal.aborted) {
+                // client left before the device answered
+                return;
+            }
+
+            Logger.error(`HLS request ${target.pathname} for ${this.channelId} failed:`, error);
+
+            if (!res.headersSent) {
+                res.status(502).send('Failed to load stream');
+            }
+        }
+    };
+
+    /**
+     * Releases the watch session and unregisters it.
+     *
+     * @returns {Promise<void>} Resolves once the device has been told the session ended
+     */
+    close() {
+        if (this.closed) {
+            return Promise.resolve();
+        }
+
+        this.closed = true;
+
+        if (HlsSession.#sessions.get(this.channelId) == this) {
+            HlsSession.#sessions.delete(this.channelId);
+        }
+
+        if (this.keepaliveId) {
+            clearInterval(this.keepaliveId);
+
+            this.keepaliveId = null;
+        }
+
+        if (this.idleId) {
+            clearInterval(this.idleId);
+
+            this.idleId = null;
+        }
+
+        var released = Promise.resolve();
+
+        if (this.watchData) {
+            const watchData = this.watchData;
+
+            Logger.debug(`Releasing ${this.channelId} (HLS) session ${watchData.token}`);
+
+            released = this.hooks.release(watchData).catch((error) => {
+                Logger.debug(`Releasing ${this.channelId} (HLS) session failed:`, error);
+            });
+        }
+
+        if (this.allocation) {
+            this.allocation.release();
+        }
+
+        this.onClose(this);
+
+        return released;
+    };
+};
+
+/**
+ * CRC32 of an MPEG-TS table section.
+ *
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function psiCrc32(data) {
+    var crc = 0xFFFFFFFF;
+
+    for (const byte of data) {
+        crc = ((crc << 8) ^ PSI_CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+    }
+
+    return crc;
+};
+
+/**
+ * Keeps the remuxer's output one continuous MPEG-TS stream across ``#EXT-X-DISCONTINUITY`` splices.
+ *
+ * After a discontinuity the PAT and PMT versions are bumped so players read the program again,
+ * continuity counters carry on from the last packet sent, and the first packet of each PID with
+ * an adaptation field is flagged discontinuous so players reset their clocks.
+ *
+ * ```javascript
+ * const splicer = new TsSplicer();
+ *
+ * stdout.write(splicer.splice(segment, true));
+ * ```
+ *
+ * @class
+ */
+class TsSplicer {
+    /**
+     * Added to each PID's continuity counter since the last discontinuity
+     *
+     * @type {Map<number, number>}
+     */
+    #offsets = new Map();
+    /**
+     * Last continuity counter sent for each PID
+     *
+     * @type {Map<number, number>}
+     */
+    #counters = new Map();
+    /**
+     * PMT PIDs from the last PAT
+     *
+     * @type {Set<number>}
+     */
+    #pmtPids = new Set();
+    /**
+     * Added to every PAT and PMT version, one per discontinuity
+     */
+    #version = 0;
+
+    /**
+     * Rewrites a segment in place before it's sent.
+     *
+     * Segments that aren't packet aligned are passed through from the first bad packet on.
+     *
+     * @param {Buffer} data - Whole TS segment
+     * @param {boolean} discontinuity - Segment follows an ``#EXT-X-DISCONTINUITY``
+     * @returns {Buffer}
+     */
+    splice(data, discontinuity) {
+        if (discontinuity) {
+            this.#version = (this.#version + 1) % 32;
+        }
+        /**
+         * PIDs already met in this segment
+         *
+         * @type {Set<number>}
+         */
+        const seen = new Set();
+
+        for (let pos = 0; pos + TS_PACKET_SIZE <= data.length; pos += TS_PACKET_SIZE) {
+            if (data[pos] != 0x47) {
+                Logger.debug(`[remux] segment lost packet sync at byte ${pos}`);
+
+                break;
+            }
+
+            const pid = ((data[pos + 1] & 0x1F) << 8) | data[pos + 2];
+
+            const adaptation = (data[pos + 3] & 0x20) != 0;
+
+            const payload = (data[pos + 3] & 0x10) != 0;
+
+            const counter = data[pos + 3] & 0x0F;
+
+            if (discontinuity && !seen.has(pid)) {
+                seen.add(pid);
+
+                const last = this.#counters.get(pid);
+
+                if (last == undefined) {
+                    this.#offsets.delete(pid);
+                } else {
+                    // counters only step on packets with a payload
+                    this.#offsets.set(pid, ((payload ? last + 1 : last) - counter) & 0x0F);
+                }
+
+                if (adaptation && data[pos + 4] > 0) {
+                    data[pos + 5] |= 0x80;
+                }
+            }
+
+            const sent = (counter + (this.#offsets.get(pid) ?? 0)) & 0x0F;
+
+            data[pos + 3] = (data[pos + 3] & 0xF0) | sent;
+
+            this.#counters.set(pid, sent);
+
+            if (payload && (data[pos + 1] & 0x40) != 0 && (pid == PAT_PID || this.#pmtPids.has(pid))) {
+                this.#table(data.subarray(pos, pos + TS_PACKET_SIZE), pid);
+            }
+        }
+
+        return data;
+    };
+
+    /**
+     * Reads the PMT PIDs from a PAT and bumps a table's version.
+     *
+     * Only sections that fit in the packet are touched.
+     *
+     * @param {Buffer} packet
+     * @param {number} pid
+     */
+    #table(packet, pid) {
+        const payload = (packet[3] & 0x20) != 0 ? 5 + packet[4] : 4;
+
+        const start = payload + 1 + packet[payload];
+
+        if (start + 8 > packet.length) {
+            return;
+        }
+
+        const end = start + 3 + (((packet[start + 1] & 0x0F) << 8) | packet[start + 2]);
+
+        if (end > packet.length || end - start < 12) {
+            return;
+        }
+
+        if (pid == PAT_PID) {
+            this.#pmtPids.clear();
+
+            for (let i = start + 8; i + 4 <= end - 4; i += 4) {
+                const program = (packet[i] << 8) | packet[i + 1];
+
+                if (program != 0) {
+                    this.#pmtPids.add(((packet[i + 2] & 0x1F) << 8) | packet[i + 3]);
+                }
+            }
+        }
+
+        if (this.#version == 0) {
+            return;
+        }
+
+        const version = (((packet[start + 5] >> 1) & 0x1F) + this.#version) % 32;
+
+        packet[start + 5] = (packet[start + 5] & 0xC1) | (version << 1);
+
+        packet.writeUInt32BE(psiCrc32(packet.subarray(start, end - 4)), end - 4);
+    };
+};
+
+/**
+ * Built in HLS to MPEG-TS remuxer, used in place of ffmpeg.
+ *
+ * Downloads the media playlist's TS segments in order and writes them one after another to ``stdout``,
+ * splicing them with a ``TsSplicer`` so discontinuities play through.
+ * Shaped like a spawned ffmpeg process so a ``StreamSession`` can use either.
+ *
+ * ```javascript
+ * const remuxer = new HlsRemuxer(playlistUrl, "channelId");
+ *
+ * remuxer.stdout.pipe(res);
+ *
+ * remuxer.on('close', (code) => {});
+ * ```
+ *
+ * @class
+ */
+class HlsRemuxer extends EventEmitter {
+    playlistUrl = "";
+    label = "";
+    lastSequence = -1;
+    killed = false;
+    finished = false;
+    /**
+     * Never set, there is no child process
+     *
+     * @type {number|undefined}
+     */
+    pid = undefined;
+    stdout = new PassThrough();
+    stderr = new PassThrough();
+    abort = new AbortController();
+    splicer = new TsSplicer();
+    /**
+     * @param {string} playlistUrl - Tablo playlist URL
+     * @param {string} label - Name used in logs
+     */
+    constructor(playlistUrl, label) {
+        super();
+
+        this.playlistUrl = playlistUrl;
+
+        this.label = label;
+
+        setImmediate(() => {
+            this.#run().then((code) => {
+                this.#finish(code, null);
+            }).catch((error) => {
+                if (!this.killed) {
+                    Logger.error(`[remux] ${this.label} failed:`, error);
+                }
+
+                this.#finish(1, null);
+            });
+        });
+    }
+
+    /**
+     * Stops the remuxer.
+     *
+     * @param {string} signal
+     */
+    kill(signal = "SIGTERM") {
+        if (this.killed) {
+            return false;
+        }
+
+        this.killed = true;
+
+        this.abort.abort();
+
+        this.#finish(null, signal);
+
+        return true;
+    };
+
+    /**
+     * @param {number|null} code
+     * @param {string|null} signal
+     */
+    #finish(code, signal) {
+        if (this.finished) {
+            return;
+        }
+
+        this.finished = true;
+
+        this.stdout.end();
+
+        this.stderr.end();
+
+        this.emit('exit', code, signal);
+
+        this.emit('close', code, signal);
+    };
+
+    /**
+     * Downloads a URL, retrying on failure.
+     *
+     * @param {string} url
+     * @param {number} retries
+     * @returns {Promise<Buffer>}
+     */
+    async #fetch(url, retries) {
+        var lastError;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (this.killed) {
+                throw new Error("killed");
+            }
+            // fetch leaves its listener on the signal, so each download gets its own
+            const controller = new AbortController();
+
+            const abort = () => controller.abort();
+
+            this.abort.signal.addEventListener('abort', abort);
+
+            try {
+                const res = await fetch(url, { signal: controller.signal });
+
+                if (res.ok) {
+                    return Buffer.from(await res.arrayBuffer());
+                }
+
+                lastError = new Error(`status code ${res.status}`);
+
+                if (res.status == 404 || res.status == 410) {
+                    break;
+                }
+            } catch (error) {
+                lastError = error;
+            } finally {
+                this.abort.signal.removeEventListener('abort', abort);
+            }
+
+            if (attempt < retries) {
+                Logger.debug(`[remux] ${this.label} retrying ${new URL(url).pathname}`);
+
+                await this.#sleep(RETRY_DELAY);
+            }
+        }
+
+        throw lastError;
+    };
+
+    /**
+     * @param {number} ms
+     */
+    #sleep(ms) {
+        const signal = this.abort.signal;
+
+        return new Promise((resolve) => {
+            if (signal.aborted) {
+                resolve(undefined);
+
+                return;
+            }
+            // the listener goes either way, the loop sleeps for as long as the stream runs
+            const done = () => {
+                clearTimeout(id);
+
+                signal.removeEventListener('abort', done);
+
+                resolve(undefined);
+            };
+
+            const id = setTimeout(done, ms);
+
+            signal.addEventListener('abort', done);
+        });
+    };
+
+    /**
+     * Writes a segment, waiting when the clients are behind.
+     *
+     * @param {Buffer} data
+     */
+    async #write(data) {
+        if (!this.stdout.write(data) && !this.abort.signal.aborted) {
+            await new Promise((resolve) => {
+                const done = () => {
+                    this.stdout.off('drain', done);
+
+                    this.abort.signal.removeEventListener('abort', done);
+
+                    resolve(undefined);
+                };
+
+                this.stdout.on('drain', done);
+
+                this.abort.signal.addEventListener('abort', done);
+            });
+        }
+    };
+
+    /**
+     * Main reload loop.
+     *
+     * @returns {Promise<number>} exit code
+     */
+    async #run() {
+        var url = this.playlistUrl;
+
+        var failures = 0;
+
+        var first = true;
+        // carried to the next segment when the one after a discontinuity is skipped
+        var discontinuity = false;
+
+        while (!this.killed) {
+            var text;
+
+            try {
+                text = (await this.#fetch(url, 0)).toString();
+
+                failures = 0;
+            } catch (error) {
+                if (this.killed) {
+                    break;
+                }
+
+                failures += 1;
+
+                Logger.warn(`[remux] ${this.label} playlist reload failed (${failures}/${PLAYLIST_RETRIES}):`, error);
+
+                if (failures >= PLAYLIST_RETRIES) {
+                    return 1;
+                }
+
+                await this.#sleep(RETRY_DELAY);
+
+                continue;
+            }
+
+            const variants = parseMasterPlaylist(text, url);
+
+            if (variants.length != 0) {
+                variants.sort((a, b) => b.bandwidth - a.bandwidth);
+
+                url = variants[0].url;
+
+                Logger.debug(`[remux] ${this.label} using variant ${variants[0].bandwidth} ${url}`);
+
+                continue;
+            }
+
+            const playlist = parseMediaPlaylist(text, url);
+
+            if (playlist.unsupported) {
+                Logger.error(`[remux] ${this.label} playlist uses ${playlist.unsupported}, use ffmpeg mode instead.`);
+
+                return 1;
+            }
+
+            var segments = playlist.segments.filter((seg) => seg.sequence > this.lastSequence);
+
+            if (first && !playlist.endList) {
+                segments = segments.slice(-LIVE_EDGE_SEGMENTS);
+            } else if (segments.length != 0 && this.lastSequence != -1 && segments[0].sequence > this.lastSequence + 1) {
+                Logger.debug(`[remux] ${this.label} missed ${segments[0].sequence - this.lastSequence - 1} segments`);
+            }
+
+            first = false;
+
+            for (let i = 0; i < segments.length && !this.killed; i++) {
+                const seg = segments[i];
+
+                if (seg.discontinuity) {
+                    Logger.debug(`[remux] ${this.label} discontinuity at segment ${seg.sequence}`);
+
+                    discontinuity = true;
+                }
+
+                try {
+                    const data = this.splicer.splice(await this.#fetch(seg.url, SEGMENT_RETRIES), discontinuity);
+
+                    discontinuity = false;
+
+                    await this.#write(data);
+                } catch (error) {
+                    if (this.killed) {
+                        break;
+                    }
+
+                    Logger.warn(`[remux] ${this.label} skipping segment ${seg.sequence}:`, error);
+                }
+
+                this.lastSequence = seg.sequence;
+            }
+
+            if (playlist.endList) {
+                return 0;
+            }
+
+            const wait = segments.length != 0 ? playlist.targetDuration : playlist.targetDuration / 2;
+
+            await this.#sleep(wait * 1000);
+        }
+
+        return 0;
+    };
+};
+
+module.exports = {
+    HlsSession,
+    HlsRemuxer,
+    TsSplicer,
+    parseMasterPlaylist,
+    parseMediaPlaylist,
+    resolveUri,
+    rewritePlaylist,
+    isPlaylist
+};
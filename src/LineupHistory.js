@@ -0,0 +1,199 @@
+// @ts-check
+const path = require('path');
+
+const {
+    C_HEX,
+    CONST
+} = require('./Constants');
+const FS = require('./FS');
+const Logger = require('./Logger');
+
+/**
+ * Source path to lineup_history.json
+ */
+const HISTORY_FILE = path.join(CONST.DIR_NAME, "lineup_history.json");
+
+/**
+ * Refreshes kept in the history file, oldest dropped first
+ */
+const MAX_ENTRIES = 100;
+
+/**
+ * @typedef {{[channelId:string]: {GuideNumber:string, GuideName:string}}} lineupSnapshot
+ */
+
+/**
+ * @typedef lineupChannel
+ * @property {string} id
+ * @property {string} number
+ * @property {string} name
+ */
+
+/**
+ * @typedef lineupChange
+ * @property {string} id
+ * @property {string} from
+ * @property {string} to
+ */
+
+/**
+ * @typedef lineupDiff
+ * @property {string} date - ISO date of the refresh
+ * @property {lineupChannel[]} added
+ * @property {lineupChannel[]} removed
+ * @property {lineupChange[]} renamed
+ * @property {lineupChange[]} renumbered
+ */
+
+/**
+ * Static class that compares lineups between refreshes and keeps a history of the changes.
+ *
+ * ```javascript
+ * const before = LineupHistory.snapshot(LINEUP_DATA);
+ * // refresh
+ * const diff = LineupHistory.diff(before, LineupHistory.snapshot(LINEUP_DATA));
+ *
+ * LineupHistory.record(diff);
+ * ```
+ *
+ * @class
+ */
+class LineupHistory {
+    /**
+     * Copies the parts of the lineup a diff looks at.
+     *
+     * @static
+     * @param {{[channelId:string]: {GuideNumber:string, GuideName:string}}} lineup
+     * @returns {lineupSnapshot}
+     */
+    static snapshot(lineup) {
+        /**
+         * @type {lineupSnapshot}
+         */
+        const snapshot = {};
+
+        for (const channelId in lineup) {
+            snapshot[channelId] = {
+                GuideNumber: lineup[channelId].GuideNumber,
+                GuideName: lineup[channelId].GuideName
+            };
+        }
+
+        return snapshot;
+    };
+
+    /**
+     * Channels added, removed, renamed and renumbered between two lineups.
+     *
+     * @static
+     * @param {lineupSnapshot} before
+     * @param {lineupSnapshot} after
+     * @returns {lineupDiff}
+     */
+    static diff(before, after) {
+        /**
+         * @type {lineupDiff}
+         */
+        const diff = {
+            date: new Date().toISOString(),
+            added: [],
+            removed: [],
+            renamed: [],
+            renumbered: []
+        };
+
+        for (const channelId in after) {
+            const now = after[channelId];
+
+            const was = before[channelId];
+
+            if (was == undefined) {
+                diff.added.push({ id: channelId, number: now.GuideNumber, name: now.GuideName });
+
+                continue;
+            }
+
+            if (was.GuideName != now.GuideName) {
+                diff.renamed.push({ id: channelId, from: was.GuideName, to: now.GuideName });
+            }
+
+            if (was.GuideNumber != now.GuideNumber) {
+                diff.renumbered.push({ id: channelId, from: was.GuideNumber, to: now.GuideNumber });
+            }
+        }
+
+        for (const channelId in before) {
+            if (after[channelId] == undefined) {
+                diff.removed.push({ id: channelId, number: before[channelId].GuideNumber, name: before[channelId].GuideName });
+            }
+        }
+
+        return diff;
+    };
+
+    /**
+     * If a diff has any changes.
+     *
+     * @static
+     * @param {lineupDiff} diff
+     * @returns {boolean}
+     */
+    static hasChanges(diff) {
+        return diff.added.length + diff.removed.length + diff.renamed.length + diff.renumbered.length != 0;
+    };
+
+    /**
+     * Logs a diff and adds it to lineup_history.json, does nothing when nothing changed.
+     *
+     * @static
+     * @param {lineupDiff} diff
+     */
+    static record(diff) {
+        if (!this.hasChanges(diff)) {
+            Logger.info(`Lineup refreshed, no channel changes.`);
+
+            return;
+        }
+
+        Logger.info(`Lineup changed: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.renamed.length} renamed, ${diff.renumbered.length} renumbered.`);
+
+        for (const channel of diff.added) {
+            Logger.info(`  + ${channel.number} ${channel.name} (${channel.id})`);
+        }
+
+        for (const channel of diff.removed) {
+            Logger.info(`  - ${channel.number} ${channel.name} (${channel.id})`);
+        }
+
+        for (const change of diff.renamed) {
+            Logger.info(`  ~ ${change.id} renamed from ${change.from} to ${change.to}`);
+        }
+
+        for (const change of diff.renumbered) {
+            Logger.info(`  ~ ${change.id} renumbered from ${change.from} to ${change.to}`);
+        }
+
+        Logger.info(`${C_HEX.yellow}Rescan channels in Plex to pick up the lineup changes.${C_HEX.reset}`);
+
+        /**
+         * @type {lineupDiff[]}
+         */
+        var history = [];
+
+        if (FS.fileExists(HISTORY_FILE)) {
+            const data = FS.readJSON(HISTORY_FILE);
+
+            if (Array.isArray(data)) {
+                history = data;
+            } else {
+                Logger.error(`Could not read lineup history from ${HISTORY_FILE}, starting a new one.`);
+            }
+        }
+
+        history.push(diff);
+
+        FS.writeJSON(JSON.stringify(history.slice(-MAX_ENTRIES), null, 4), HISTORY_FILE);
+    };
+};
+
+module.exports = LineupHistory;
@@ -18,6 +18,12 @@ class _CustomLog {
     saveLog = false;
     logType = "info";
     logLevel = 0;
+    /**
+     * Log file writes that haven't closed yet.
+     * 
+     * @type {Set<fs.WriteStream>}
+     */
+    pending = new Set();
     /**
      * @param {boolean} saveLog
      * @param {string} dirName
@@ -64,13 +70,14 @@ class _CustomLog {
                 const writeStream = fs.createWriteStream(this.loc, { flags: 'a' });
 
                 const regexRemove = /\x1b\[[0-9;]*[mG]/g;
-                // Write the text to the file
-                writeStream.write(level.replace(regexRemove, '') + " " + message.replace(regexRemove, '') + '\n');
-                // Listen for the 'finish' event to know when the write operation is complete
-                writeStream.on('finish', () => {
-                    // Close the write stream
-                    writeStream.end();
+
+                this.pending.add(writeStream);
+                // Forget the stream once the file is closed
+                writeStream.on('close', () => {
+                    this.pending.delete(writeStream);
                 });
+                // Write the text to the file and close the write stream
+                writeStream.end(level.replace(regexRemove, '') + " " + message.replace(regexRemove, '') + '\n');
             } catch (error) {
                 console.error("Error writing to log file");
 
@@ -80,6 +87,21 @@ class _CustomLog {
 
         console.log(level, message); // Call console.log
     }
+
+    /**
+     * Waits for all log file writes to finish.
+     * 
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.all(Array.from(this.pending, (writeStream) => {
+            return new Promise((resolve) => {
+                writeStream.once('close', resolve);
+
+                writeStream.once('error', resolve);
+            });
+        }));
+    }
 };
 
 const _cl = new _CustomLog(CONST.SAVE_LOG, CONST.DIR_NAME, CONST.LOG_TYPE, CONST.LOG_LEVEL);
@@ -338,6 +360,18 @@ class Logger {
         }
     }
 
+    /**
+     * Waits for all log file writes to finish.
+     * 
+     * Call before exiting the process so no lines are lost.
+     * 
+     * @static
+     * @async
+     */
+    static async flush() {
+        await _cl.flush();
+    };
+
     /**
      * Logs ends timer if class is started with ``new`` and with a label.
      */
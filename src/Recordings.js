@@ -0,0 +1,630 @@
+// @ts-check
+/**
+ * @typedef {import('stream').Writable} Writable
+ * @typedef {import('./Device').guideInfo} guideInfo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+    CONST
+} = require('./Constants');
+const FS = require('./FS');
+const Logger = require('./Logger');
+
+/**
+ * Source path to recordings.json
+ */
+const RECORDINGS_FILE = path.join(CONST.DIR_NAME, "recordings.json");
+
+/**
+ * Largest delay ``setTimeout`` accepts
+ */
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Wait before trying again when no tuner was free or the stream ended early
+ */
+const RETRY_DELAY = 30 * 1000;
+
+/**
+ * @typedef {"scheduled" | "recording" | "completed" | "failed" | "missed"} recordingStatus
+ */
+
+/**
+ * @typedef recordingJob
+ * @property {string} id
+ * @property {string} channelId - Tablo channel identifier
+ * @property {string|null} airingId - Guide identifier when scheduled from the guide
+ * @property {string} title - Programme or episode title
+ * @property {string|null} show - Series title for episodes
+ * @property {number|null} season
+ * @property {number|null} episode
+ * @property {number|null} year - Release year for movies
+ * @property {string} start - ISO date the recording starts
+ * @property {string} end - ISO date the recording stops
+ * @property {recordingStatus} status
+ * @property {string|null} file - Full path of the recording once started
+ * @property {number} bytes - Size of the recording
+ * @property {string|null} error - Why the recording failed
+ * @property {string|null} ruleId - Series rule that scheduled it
+ */
+
+/**
+ * @typedef recordingRequest
+ * @property {string} [airing] - Guide identifier of the programme
+ * @property {guideInfo} [guideInfo] - The ``airing`` programme when the caller already has it, saves reading the guide again
+ * @property {string} [channel] - Channel identifier or guide number, used with ``start`` and ``end``
+ * @property {string} [start] - Date string
+ * @property {string} [end] - Date string
+ * @property {string} [title] - Overrides the guide title
+ * @property {number} [padBefore] - Seconds to start early
+ * @property {number} [padAfter] - Seconds to keep recording after the end
+ * @property {string} [ruleId] - Series rule scheduling it
+ */
+
+/**
+ * @typedef recordingHooks
+ * @property {(channel: string) => {channelId: string, name: string}|undefined} channel - Finds a lineup channel by identifier or guide number.
+ * @property {(identifier: string) => guideInfo|undefined} airing - Finds a programme in the cached guide.
+ * @property {(channelId: string, time: number) => guideInfo|undefined} airingAt - Finds what airs on a channel at a time.
+ * @property {(job: recordingJob, stream: Writable) => Promise<(() => void)|null>} record - Feeds the channel to the stream, returns a stop function or ``null`` when no tuner is free.
+ */
+
+/**
+ * Removes characters that aren't allowed in file names.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function _safeName(name) {
+    return name.replace(/[<>:"/\\|?*\x00-\x1F]/g, "").replace(/\s+/g, " ").replace(/[. ]+$/, "").trim() || "Recording";
+};
+
+/**
+ * Resolves after ``delay`` or as soon as the signal aborts.
+ *
+ * @param {number} delay
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function _wait(delay, signal) {
+    return new Promise((resolve) => {
+        if (signal.aborted) {
+            resolve();
+
+            return;
+        }
+
+        const done = () => {
+            clearTimeout(timeoutId);
+
+            signal.removeEventListener('abort', done);
+
+            resolve();
+        };
+
+        const timeoutId = setTimeout(done, Math.min(Math.max(0, delay), MAX_TIMEOUT));
+
+        signal.addEventListener('abort', done);
+    });
+};
+
+/**
+ * Static class for the built in DVR.
+ *
+ * Jobs are kept in recordings.json so they survive restarts. At airtime a tuner is
+ * allocated the same way a client stream gets one and the MPEG-TS is written to ``RECORDINGS_DIR``.
+ *
+ * ```javascript
+ * Recordings.load(hooks);
+ *
+ * const job = Recordings.schedule({ airing: "EP0123456789" });
+ *
+ * Recordings.remove(job.id);
+ * ```
+ *
+ * @class
+ */
+class Recordings {
+    /**
+     * @type {Map<string, recordingJob>}
+     */
+    static #jobs = new Map();
+
+    /**
+     * Start timers by job id
+     *
+     * @type {Map<string, NodeJS.Timeout>}
+     */
+    static #timers = new Map();
+
+    /**
+     * Running recordings by job id
+     *
+     * @type {Map<string, AbortController>}
+     */
+    static #active = new Map();
+
+    /**
+     * @type {recordingHooks|null}
+     */
+    static #hooks = null;
+
+    /**
+     * Set on shutdown so running jobs are resumed on the next start
+     */
+    static #stopping = false;
+
+    /**
+     * Loads saved jobs and sets their timers.
+     *
+     * Recordings cut off by a restart pick back up if they haven't ended.
+     *
+     * @static
+     * @param {recordingHooks} hooks - Device functions recordings need
+     */
+    static load(hooks) {
+        this.#hooks = hooks;
+
+        if (FS.fileExists(RECORDINGS_FILE)) {
+            /**
+             * @type {recordingJob[]}
+             */
+            const data = FS.readJSON(RECORDINGS_FILE);
+
+            if (Array.isArray(data)) {
+                for (const job of data) {
+                    this.#jobs.set(job.id, job);
+                }
+            } else {
+                Logger.error(`Could not read recordings from ${RECORDINGS_FILE}`);
+            }
+        }
+
+        const now = Date.now();
+
+        for (const job of this.#jobs.values()) {
+            if (job.status == "recording") {
+                job.status = "scheduled";
+            }
+
+            if (job.status == "scheduled") {
+                if (new Date(job.end).getTime() <= now) {
+                    job.status = job.file ? "failed" : "missed";
+
+                    job.error = job.file ? "Cut off by a restart" : "The proxy wasn't running";
+                } else {
+                    this.#arm(job);
+                }
+            }
+        }
+
+        this.#save();
+
+        const upcoming = this.all.filter((job) => job.status == "scheduled").length;
+
+        if (upcoming) {
+            Logger.info(`${upcoming} recordings scheduled.`);
+        }
+    };
+
+    /**
+     * All jobs, soonest first.
+     *
+     * @static
+     * @type {recordingJob[]}
+     */
+    static get all() {
+        return Array.from(this.#jobs.values()).sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+    };
+
+    /**
+     * @static
+     * @param {string} id
+     * @returns {recordingJob|undefined}
+     */
+    static get(id) {
+        return this.#jobs.get(id);
+    };
+
+    /**
+     * Schedules a recording by guide identifier, or by channel and time range.
+     *
+     * @static
+     * @param {recordingRequest} request
+     * @returns {recordingJob}
+     * @throws {Error} when the programme or channel can't be found
+     */
+    static schedule(request) {
+        const hooks = this.#hooks;
+
+        if (hooks == null) {
+            throw new Error("Recordings are not loaded.");
+        }
+
+        /**
+         * @type {guideInfo|undefined}
+         */
+        var airing;
+
+        var channelId = "";
+
+        var start = 0;
+
+        var end = 0;
+
+        if (request.airing) {
+            airing = request.guideInfo && request.guideInfo.identifier == request.airing ? request.guideInfo : hooks.airing(request.airing);
+
+            if (airing == undefined) {
+                throw new Error(`Programme ${request.airing} is not in the cached guide.`);
+            }
+
+            channelId = airing.channel.identifier;
+
+            start = new Date(airing.datetime).getTime();
+
+            end = start + airing.duration * 1000;
+        } else if (request.channel) {
+            const channel = hooks.channel(request.channel);
+
+            if (channel == undefined) {
+                throw new Error(`Channel ${request.channel} is not in the lineup.`);
+            }
+
+            channelId = channel.channelId;
+
+            start = new Date(request.start || "").getTime();
+
+            end = new Date(request.end || "").getTime();
+
+            if (isNaN(start) || isNaN(end) || end <= start) {
+                throw new Error("A valid start and end are needed.");
+            }
+
+            airing = hooks.airingAt(channelId, start);
+
+            if (request.title == undefined && airing == undefined) {
+                request.title = channel.name;
+            }
+        } else {
+            throw new Error("An airing or a channel is needed.");
+        }
+
+        start -= Math.max(0, request.padBefore ?? 0) * 1000;
+
+        end += Math.max(0, request.padAfter ?? 0) * 1000;
+
+        if (end <= Date.now()) {
+            throw new Error("That programme has already ended.");
+        }
+
+        for (const other of this.#jobs.values()) {
+            if (other.status != "scheduled" && other.status != "recording") {
+                continue;
+            }
+
+            if ((airing && other.airingId == airing.identifier) || (other.channelId == channelId && other.start == new Date(start).toISOString())) {
+                return other;
+            }
+        }
+
+        /**
+         * @type {recordingJob}
+         */
+        const job = {
+            id: crypto.randomUUID(),
+            channelId: channelId,
+            airingId: airing ? airing.identifier : null,
+            title: request.title || (airing ? airing.title : channelId),
+            show: null,
+            season: null,
+            episode: null,
+            year: null,
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            status: "scheduled",
+            file: null,
+            bytes: 0,
+            error: null,
+            ruleId: request.ruleId ?? null
+        };
+
+        if (airing && airing.kind == "episode") {
+            job.show = airing.show.title;
+
+            job.season = airing.episode.season.number ?? null;
+
+            job.episode = airing.episode.episodeNumber;
+        } else if (airing && airing.kind == "movieAiring") {
+            job.year = airing.movieAiring.releaseYear;
+        }
+
+        this.#jobs.set(job.id, job);
+
+        this.#arm(job);
+
+        this.#save();
+
+        Logger.info(`Recording of ${job.title} on ${channelId} scheduled for ${job.start}`);
+
+        return job;
+    };
+
+    /**
+     * Removes a job, stopping it first if it's recording. The file is kept.
+     *
+     * @static
+     * @param {string} id
+     * @returns {boolean} if the job existed
+     */
+    static remove(id) {
+        const job = this.#jobs.get(id);
+
+        if (job == undefined) {
+            return false;
+        }
+
+        this.#disarm(id);
+
+        const controller = this.#active.get(id);
+
+        if (controller) {
+            controller.abort();
+        }
+
+        this.#jobs.delete(id);
+
+        this.#save();
+
+        Logger.info(`Recording of ${job.title} removed.`);
+
+        return true;
+    };
+
+    /**
+     * Stops every timer and running recording without changing the saved jobs.
+     *
+     * Running recordings are resumed on the next start.
+     *
+     * @static
+     */
+    static shutdown() {
+        this.#stopping = true;
+
+        for (const id of Array.from(this.#timers.keys())) {
+            this.#disarm(id);
+        }
+
+        for (const controller of this.#active.values()) {
+            controller.abort();
+        }
+    };
+
+    /**
+     * Sets the start timer for a job.
+     *
+     * @param {recordingJob} job
+     */
+    static #arm(job) {
+        this.#disarm(job.id);
+
+        const delay = new Date(job.start).getTime() - Date.now();
+
+        if (delay > MAX_TIMEOUT) {
+            this.#timers.set(job.id, setTimeout(() => this.#arm(job), MAX_TIMEOUT));
+        } else {
+            this.#timers.set(job.id, setTimeout(() => {
+                this.#timers.delete(job.id);
+
+                this.#record(job);
+            }, Math.max(0, delay)));
+        }
+    };
+
+    /**
+     * @param {string} id
+     */
+    static #disarm(id) {
+        const timeoutId = this.#timers.get(id);
+
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+
+            this.#timers.delete(id);
+        }
+    };
+
+    /**
+     * Records a job until its end time, getting a new stream if the last one ends early.
+     *
+     * @param {recordingJob} job
+     */
+    static async #record(job) {
+        const hooks = /**@type {recordingHooks}*/(this.#hooks);
+
+        const controller = new AbortController();
+
+        this.#active.set(job.id, controller);
+
+        const end = new Date(job.end).getTime();
+
+        job.status = "recording";
+
+        job.error = null;
+
+        if (job.file == null) {
+            job.file = this.#filePath(job);
+        }
+
+        this.#save();
+
+        Logger.info(`Recording ${job.title} on ${job.channelId} to ${job.file}`);
+
+        try {
+            FS.createDirectory(path.dirname(job.file));
+
+            while (!controller.signal.aborted && Date.now() < end) {
+                const stream = fs.createWriteStream(job.file, { flags: 'a' });
+
+                const closed = new Promise((resolve) => {
+                    stream.on('close', () => resolve(undefined));
+                });
+
+                stream.on('error', (error) => {
+                    Logger.error(`Could not write recording ${job.file}:`, error);
+                });
+
+                /**
+                 * @type {(() => void)|null}
+                 */
+                var stop = null;
+
+                try {
+                    stop = await hooks.record(job, stream);
+                } catch (error) {
+                    Logger.error(`Recording ${job.title} could not start:`, error);
+
+                    job.error = error instanceof Error ? error.message : `${error}`;
+                }
+
+                if (stop == null) {
+                    stream.end();
+
+                    if (job.error == null) {
+                        job.error = "No tuner was free";
+                    }
+
+                    Logger.warn(`Recording ${job.title} is waiting for a tuner, trying again in ${RETRY_DELAY / 1000} seconds.`);
+
+                    await _wait(Math.min(RETRY_DELAY, end - Date.now()), controller.signal);
+
+                    continue;
+                }
+
+                job.error = null;
+
+                const timeout = new AbortController();
+
+                await Promise.race([
+                    closed,
+                    _wait(end - Date.now(), AbortSignal.any([controller.signal, timeout.signal]))
+                ]);
+
+                timeout.abort();
+
+                stop();
+
+                if (!stream.writableEnded) {
+                    stream.end();
+                }
+
+                await closed;
+
+                if (!controller.signal.aborted && Date.now() < end) {
+                    Logger.warn(`Recording ${job.title} lost its stream, trying again.`);
+
+                    await _wait(Math.min(RETRY_DELAY / 10, end - Date.now()), controller.signal);
+                }
+            }
+        } catch (error) {
+            Logger.error(`Recording ${job.title} failed:`, error);
+
+            job.error = error instanceof Error ? error.message : `${error}`;
+        }
+
+        this.#active.delete(job.id);
+
+        if (this.#stopping) {
+            // picked back up on the next start
+            return;
+        }
+
+        const file = /**@type {string}*/(job.file);
+
+        job.bytes = FS.fileExists(file) ? fs.statSync(file).size : 0;
+
+        job.status = job.bytes > 0 ? "completed" : "failed";
+
+        if (job.status == "failed" && job.error == null) {
+            job.error = "Nothing was recorded";
+        }
+
+        if (this.#jobs.has(job.id)) {
+            this.#save();
+        }
+
+        Logger.info(`Recording ${job.title} ${job.status} (${FS.fileSize(job.bytes)}).`);
+    };
+
+    /**
+     * Builds a free file path from the show, season and episode.
+     *
+     * ```
+     * Show/Season 01/Show - S01E02 - Title.ts
+     * Movie (1999).ts
+     * Title - 2025-04-20 19.00.ts
+     * ```
+     *
+     * @param {recordingJob} job
+     * @returns {string}
+     */
+    static #filePath(job) {
+        var folder = CONST.RECORDINGS_DIR;
+
+        var name = "";
+
+        if (job.show) {
+            const show = _safeName(job.show);
+
+            folder = path.join(folder, show);
+
+            if (job.season != null && job.episode != null) {
+                const season = String(job.season).padStart(2, '0');
+
+                folder = path.join(folder, `Season ${season}`);
+
+                name = `${show} - S${season}E${String(job.episode).padStart(2, '0')}`;
+            } else {
+                name = `${show} - ${_dateName(job.start)}`;
+            }
+
+            if (job.title && job.title != job.show) {
+                name += ` - ${_safeName(job.title)}`;
+            }
+        } else if (job.year) {
+            name = `${_safeName(job.title)} (${job.year})`;
+        } else {
+            name = `${_safeName(job.title)} - ${_dateName(job.start)}`;
+        }
+
+        var file = path.join(folder, `${name}.ts`);
+
+        for (let i = 2; FS.fileExists(file); i++) {
+            file = path.join(folder, `${name} (${i}).ts`);
+        }
+
+        return file;
+    };
+
+    static #save() {
+        FS.writeJSON(JSON.stringify(this.all, null, 4), RECORDINGS_FILE);
+    };
+};
+
+/**
+ * Local date and time for file names, like ``2025-04-20 19.00``.
+ *
+ * @param {string} date
+ * @returns {string}
+ */
+function _dateName(date) {
+    const d = new Date(date);
+
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')} ${String(d.getHours()).padStart(2, '0')}.${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+module.exports = Recordings;
@@ -0,0 +1,384 @@
+// @ts-check
+const crypto = require('crypto');
+const dgram = require('dgram');
+const os = require('os');
+
+const {
+    CONST
+} = require('./Constants');
+const Logger = require('./Logger');
+
+/**
+ * SSDP multicast group
+ */
+const SSDP_ADDRESS = "239.255.255.250";
+
+/**
+ * SSDP port
+ */
+const SSDP_PORT = 1900;
+
+/**
+ * Seconds clients may cache an announcement
+ */
+const MAX_AGE = 1800;
+
+/**
+ * How often ``ssdp:alive`` is sent, well inside ``MAX_AGE``
+ */
+const NOTIFY_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Device types the proxy answers for, the uuid is added to these
+ */
+const DEVICE_TYPES = [
+    "upnp:rootdevice",
+    "urn:schemas-upnp-org:device:MediaServer:1",
+    "urn:schemas-silicondust-com:device:HDHomeRun:1"
+];
+
+/**
+ * Turns a dotted IPv4 address into a number.
+ *
+ * @param {string} ip
+ * @returns {number}
+ */
+function _ipv4ToNumber(ip) {
+    return ip.split(".").reduce((total, part) => total * 256 + (Number(part) & 255), 0);
+};
+
+/**
+ * Static class for the SSDP/UPnP discovery responder.
+ *
+ * Answers ``M-SEARCH`` requests and sends ``NOTIFY`` alive/byebye, pointing Plex at ``/device.xml``.
+ *
+ * ```javascript
+ * SSDP.start();
+ *
+ * await SSDP.stop(); // sends byebye
+ * ```
+ *
+ * @class
+ */
+class SSDP {
+    /**
+     * @type {dgram.Socket|null}
+     */
+    static #socket = null;
+
+    /**
+     * @type {NodeJS.Timeout|null}
+     */
+    static #notifyId = null;
+
+    /**
+     * UPnP device id made from ``DEVICE_ID``, stays the same between runs.
+     *
+     * @static
+     * @type {string}
+     */
+    static get uuid() {
+        return this.uuidFor(`${CONST.DEVICE_ID}`);
+    };
+
+    /**
+     * UPnP device id made from a HDHomeRun ``DeviceID``, so virtual devices get their own.
+     *
+     * @static
+     * @param {string} deviceId
+     * @returns {string}
+     */
+    static uuidFor(deviceId) {
+        const hash = crypto.createHash('md5').update(`tablo2plex-${deviceId}`).digest('hex');
+
+        return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+    };
+
+    /**
+     * Address of the proxy on the same network as a client.
+     *
+     * Uses ``IP_ADDRESS`` when it was set, otherwise the interface on the client's subnet.
+     *
+     * @static
+     * @param {string} remoteAddress - Client IP
+     * @returns {string}
+     */
+    static addressFor(remoteAddress) {
+        const remote = remoteAddress.replace(/^::ffff:/, "");
+
+        if (CONST.ARGV.ip_address || !/^\d+\.\d+\.\d+\.\d+$/.test(remote)) {
+            return CONST.IP_ADDRESS;
+        }
+
+        const remoteNum = _ipv4ToNumber(remote);
+
+        const interfaces = os.networkInterfaces();
+
+        for (const interfaceName in interfaces) {
+            const networkInterface = interfaces[interfaceName];
+
+            if (networkInterface) {
+                for (const entry of networkInterface) {
+                    if (!entry.internal && entry.family === 'IPv4') {
+                        const mask = _ipv4ToNumber(entry.netmask);
+
+                        if ((_ipv4ToNumber(entry.address) & mask) == (remoteNum & mask)) {
+                            return entry.address;
+                        }
+                    }
+                }
+            }
+        }
+
+        return CONST.IP_ADDRESS;
+    };
+
+    /**
+     * Joins the SSDP group and announces the proxy.
+     *
+     * @static
+     */
+    static start() {
+        if (this.#socket) {
+            return;
+        }
+
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+        this.#socket = socket;
+
+        socket.on('error', (error) => {
+            Logger.warn(`SSDP discovery is off, port ${SSDP_PORT} could not be used:`, error.message);
+
+            this.#close();
+        });
+
+        socket.on('message', (msg, rinfo) => {
+            this.#onMessage(msg.toString(), rinfo);
+        });
+
+        socket.bind(SSDP_PORT, () => {
+            const interfaces = os.networkInterfaces();
+
+            for (const interfaceName in interfaces) {
+                const networkInterface = interfaces[interfaceName];
+
+                if (networkInterface) {
+                    for (const entry of networkInterface) {
+                        if (!entry.internal && entry.family === 'IPv4') {
+                            try {
+                                socket.addMembership(SSDP_ADDRESS, entry.address);
+                            } catch (error) {
+                                Logger.debug(`SSDP could not join ${SSDP_ADDRESS} on ${entry.address}:`, error);
+                            }
+                        }
+                    }
+                }
+            }
+
+            try {
+                socket.setMulticastInterface(CONST.IP_ADDRESS);
+            } catch (error) {
+                Logger.debug(`SSDP could not announce on ${CONST.IP_ADDRESS}:`, error);
+            }
+
+            Logger.debug(`SSDP discovery running as uuid:${this.uuid}`);
+
+            this.#notify("ssdp:alive");
+
+            this.#notifyId = setInterval(() => {
+                this.#notify("ssdp:alive");
+            }, NOTIFY_INTERVAL);
+        });
+    };
+
+    /**
+     * Sends ``ssdp:byebye`` and closes the socket.
+     *
+     * @static
+     * @returns {Promise<void>}
+     */
+    static async stop() {
+        if (this.#socket == null) {
+            return;
+        }
+
+        await this.#notify("ssdp:byebye");
+
+        this.#close();
+    };
+
+    static #close() {
+        if (this.#notifyId) {
+            clearInterval(this.#notifyId);
+
+            this.#notifyId = null;
+        }
+
+        if (this.#socket) {
+            const socket = this.#socket;
+
+            this.#socket = null;
+
+            try {
+                socket.close();
+            } catch (error) {
+                // already closed
+            }
+        }
+    };
+
+    /**
+     * @param {string} type
+     * @returns {string}
+     */
+    static #usn(type) {
+        return type == `uuid:${this.uuid}` ? type : `uuid:${this.uuid}::${type}`;
+    };
+
+    /**
+     * @returns {string[]}
+     */
+    static #types() {
+        return [...DEVICE_TYPES, `uuid:${this.uuid}`];
+    };
+
+    /**
+     * @param {string} address - Proxy address the client can reach
+     * @returns {string}
+     */
+    static #location(address) {
+        return `http://${address}:${CONST.PORT}/device.xml`;
+    };
+
+    /**
+     * Multicasts a NOTIFY for every device type.
+     *
+     * @param {"ssdp:alive"|"ssdp:byebye"} nts
+     * @returns {Promise<void>}
+     */
+    static async #notify(nts) {
+        const socket = this.#socket;
+
+        if (socket == null) {
+            return;
+        }
+
+        const sends = this.#types().map((type) => {
+            const lines = [
+                "NOTIFY * HTTP/1.1",
+                `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+                `NT: ${type}`,
+                `NTS: ${nts}`,
+                `USN: ${this.#usn(type)}`
+            ];
+
+            if (nts == "ssdp:alive") {
+                lines.push(
+                    `CACHE-CONTROL: max-age=${MAX_AGE}`,
+                    `LOCATION: ${this.#location(CONST.IP_ADDRESS)}`,
+                    `SERVER: ${this.#server()}`
+                );
+            }
+
+            return this.#send(socket, lines, SSDP_ADDRESS, SSDP_PORT);
+        });
+
+        await Promise.all(sends);
+    };
+
+    /**
+     * Answers an ``M-SEARCH`` for one of the proxy's device types.
+     *
+     * @param {string} text
+     * @param {dgram.RemoteInfo} rinfo
+     */
+    static #onMessage(text, rinfo) {
+        const lines = text.split(/\r?\n/);
+
+        if (!/^M-SEARCH \* HTTP\/1\.1/i.test(lines[0])) {
+            return;
+        }
+
+        /**
+         * @type {{[key:string]:string}}
+         */
+        const headers = {};
+
+        for (let i = 1; i < lines.length; i++) {
+            const index = lines[i].indexOf(":");
+
+            if (index > 0) {
+                headers[lines[i].slice(0, index).trim().toLowerCase()] = lines[i].slice(index + 1).trim();
+            }
+        }
+
+        if ((headers["man"] || "").replace(/"/g, "") != "ssdp:discover") {
+            return;
+        }
+
+        const st = headers["st"] || "";
+
+        const types = st == "ssdp:all" ? this.#types() : this.#types().filter((type) => type == st);
+
+        if (types.length == 0) {
+            return;
+        }
+
+        Logger.debug(`SSDP search for ${st} from ${rinfo.address}`);
+
+        const address = this.addressFor(rinfo.address);
+        // spread answers over MX seconds like the spec asks, kept short
+        const delay = Math.random() * Math.min(Number(headers["mx"]) || 1, 1) * 1000;
+
+        setTimeout(() => {
+            const socket = this.#socket;
+
+            if (socket == null) {
+                return;
+            }
+
+            for (const type of types) {
+                this.#send(socket, [
+                    "HTTP/1.1 200 OK",
+                    `CACHE-CONTROL: max-age=${MAX_AGE}`,
+                    "EXT:",
+                    `LOCATION: ${this.#location(address)}`,
+                    `SERVER: ${this.#server()}`,
+                    `ST: ${type}`,
+                    `USN: ${this.#usn(type)}`
+                ], rinfo.address, rinfo.port);
+            }
+        }, delay);
+    };
+
+    /**
+     * @returns {string}
+     */
+    static #server() {
+        return `${os.type()}/${os.release()} UPnP/1.0 tablo2plex/${CONST.VERSION}`;
+    };
+
+    /**
+     * @param {dgram.Socket} socket
+     * @param {string[]} lines
+     * @param {string} address
+     * @param {number} port
+     * @returns {Promise<void>}
+     */
+    static #send(socket, lines, address, port) {
+        const msg = Buffer.from(lines.join("\r\n") + "\r\n\r\n");
+
+        return new Promise((resolve) => {
+            socket.send(msg, port, address, (error) => {
+                if (error) {
+                    Logger.debug(`SSDP send to ${address} failed:`, error);
+                }
+
+                resolve();
+            });
+        });
+    };
+};
+
+module.exports = SSDP;
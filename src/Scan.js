@@ -0,0 +1,184 @@
+// @ts-check
+const Logger = require('./Logger');
+
+/**
+ * Share of the progress the lineup refresh counts for when the guide is refreshed too
+ */
+const LINEUP_SHARE = 0.1;
+
+/**
+ * @typedef scanTasks
+ * @property {() => Promise<void>} lineup - Refreshes the channel lineup
+ * @property {(() => Promise<void>)|null} guide - Refreshes the guide, ``null`` when ``CREATE_XML`` is off
+ * @property {() => Promise<void>} abort - Stops a running guide refresh
+ * @property {() => number} found - Channels in the lineup
+ * @property {() => number} progress - Guide refresh progress, ``0`` to ``1``
+ */
+
+/**
+ * Static class for the channel scan Plex starts with ``/lineup.post?scan=start``.
+ *
+ * A scan refreshes the lineup, then the guide, and reports progress through ``lineup_status.json``.
+ *
+ * ```javascript
+ * Scan.setTasks(tasks);
+ *
+ * Scan.start();
+ *
+ * Scan.status; // { ScanInProgress: 1, Progress: 40, Found: 25 }
+ * ```
+ *
+ * @class
+ */
+class Scan {
+    /**
+     * @type {scanTasks|null}
+     */
+    static #tasks = null;
+
+    /**
+     * @type {Promise<void>|null}
+     */
+    static #running = null;
+
+    static #stage = "";
+
+    static #lineupDone = false;
+
+    static #aborted = false;
+
+    /**
+     * Sets what a scan runs.
+     *
+     * @static
+     * @param {scanTasks} tasks
+     */
+    static setTasks(tasks) {
+        this.#tasks = tasks;
+    };
+
+    /**
+     * If a scan is running.
+     *
+     * @static
+     * @type {boolean}
+     */
+    static get inProgress() {
+        return this.#running != null;
+    };
+
+    /**
+     * ``lineup_status.json`` data.
+     *
+     * @static
+     * @type {{ScanInProgress: number, Progress?: number, Found?: number, ScanPossible?: number, Source?: string, SourceList?: string[]}}
+     */
+    static get status() {
+        const tasks = this.#tasks;
+
+        if (this.#running == null || tasks == null) {
+            return {
+                ScanInProgress: 0,
+                ScanPossible: tasks == null ? 0 : 1,
+                Source: "Antenna",
+                SourceList: ["Antenna"]
+            };
+        }
+
+        const lineupShare = tasks.guide ? LINEUP_SHARE : 1;
+        // the lineup is one request, halfway until it answers
+        var progress = this.#lineupDone ? lineupShare : lineupShare / 2;
+
+        if (this.#stage == "guide") {
+            progress = lineupShare + (1 - lineupShare) * tasks.progress();
+        }
+
+        return {
+            ScanInProgress: 1,
+            Progress: Math.min(99, Math.floor(progress * 100)),
+            Found: this.#lineupDone ? tasks.found() : 0
+        };
+    };
+
+    /**
+     * Starts a scan unless one is running.
+     *
+     * @static
+     * @returns {boolean} if a new scan started
+     */
+    static start() {
+        const tasks = this.#tasks;
+
+        if (tasks == null || this.#running != null) {
+            return false;
+        }
+
+        this.#aborted = false;
+
+        this.#lineupDone = false;
+
+        this.#running = this.#run(tasks).finally(() => {
+            this.#running = null;
+
+            this.#stage = "";
+
+            this.#lineupDone = false;
+        });
+
+        return true;
+    };
+
+    /**
+     * Stops a running scan and waits for it to end.
+     *
+     * The lineup request can't be stopped part way, its result is kept.
+     *
+     * @static
+     */
+    static async abort() {
+        const tasks = this.#tasks;
+
+        const running = this.#running;
+
+        if (tasks == null || running == null) {
+            return;
+        }
+
+        Logger.info(`Channel scan aborted.`);
+
+        this.#aborted = true;
+
+        await tasks.abort();
+
+        await running;
+    };
+
+    /**
+     * @param {scanTasks} tasks
+     */
+    static async #run(tasks) {
+        Logger.info(`Channel scan started.`);
+
+        try {
+            this.#stage = "lineup";
+
+            await tasks.lineup();
+
+            this.#lineupDone = true;
+
+            if (tasks.guide && !this.#aborted) {
+                this.#stage = "guide";
+
+                await tasks.guide();
+            }
+
+            if (!this.#aborted) {
+                Logger.info(`Channel scan finished, ${tasks.found()} channels found.`);
+            }
+        } catch (error) {
+            Logger.error(`Channel scan failed:`, error);
+        }
+    };
+};
+
+module.exports = Scan;
@@ -0,0 +1,435 @@
+// @ts-check
+/**
+ * @typedef {import('./Device').guideInfo} guideInfo
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+    CONST
+} = require('./Constants');
+const FS = require('./FS');
+const Logger = require('./Logger');
+const Recordings = require('./Recordings');
+
+/**
+ * Source path to series_rules.json
+ */
+const RULES_FILE = path.join(CONST.DIR_NAME, "series_rules.json");
+
+/**
+ * An episode counts as new when it first aired this close to the airing
+ */
+const NEW_EPISODE_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef seriesRule
+ * @property {string} id
+ * @property {string} show - Guide ``show.identifier`` to match
+ * @property {string} title - Show title, for display
+ * @property {string|null} channelId - Only this channel, ``null`` for any
+ * @property {boolean} newOnly - Skip reruns
+ * @property {number} padBefore - Seconds to start early
+ * @property {number} padAfter - Seconds to keep recording after the end
+ * @property {string[]} [skipped] - Airings whose recording was removed, not scheduled again
+ */
+
+/**
+ * @typedef seriesRuleRequest
+ * @property {string} show - Guide ``show.identifier`` to match
+ * @property {string} [channel] - Channel identifier or guide number, any when left out
+ * @property {boolean} [newOnly]
+ * @property {number} [padBefore]
+ * @property {number} [padAfter]
+ */
+
+/**
+ * @typedef upcomingRecording
+ * @property {string} ruleId
+ * @property {string} airingId
+ * @property {string} channelId
+ * @property {string} show
+ * @property {string} title
+ * @property {number|null} season
+ * @property {number|null} episode
+ * @property {string} start - ISO date the programme starts, without padding
+ * @property {string} end - ISO date the programme ends, without padding
+ * @property {string|null} recordingId - Scheduled recording, ``null`` if it couldn't be scheduled
+ */
+
+/**
+ * @typedef seriesHooks
+ * @property {(channel: string) => {channelId: string, name: string}|undefined} channel - Finds a lineup channel by identifier or guide number.
+ * @property {() => guideInfo[]} airings - Every programme in the cached guide.
+ */
+
+/**
+ * If an airing is a first run.
+ *
+ * The guide's ``qualifiers`` is a number with no documented flags, so this goes by the
+ * original air date: an episode is new when it first aired within a day of this airing.
+ * Episodes without an original air date count as reruns.
+ *
+ * @param {guideInfo} airing
+ * @returns {boolean}
+ */
+function _isNew(airing) {
+    if (airing.kind != "episode" || airing.episode.originalAirDate == null) {
+        return false;
+    }
+    // originalAirDate is a local date with no time
+    const firstAired = new Date(`${airing.episode.originalAirDate}T00:00:00`).getTime();
+
+    return new Date(airing.datetime).getTime() - firstAired < NEW_EPISODE_WINDOW;
+};
+
+/**
+ * Static class for series recording rules.
+ *
+ * Rules are kept in series_rules.json and matched against the cached guide each
+ * time it's refreshed. Matches are scheduled with ``Recordings``.
+ *
+ * ```javascript
+ * SeriesRules.load(hooks);
+ *
+ * SeriesRules.add({ show: "SH0123456789", newOnly: true, padAfter: 120 });
+ *
+ * SeriesRules.evaluate(); // after each guide refresh
+ * ```
+ *
+ * @class
+ */
+class SeriesRules {
+    /**
+     * @type {Map<string, seriesRule>}
+     */
+    static #rules = new Map();
+
+    /**
+     * Matches from the last evaluation
+     *
+     * @type {upcomingRecording[]}
+     */
+    static #upcoming = [];
+
+    /**
+     * @type {seriesHooks|null}
+     */
+    static #hooks = null;
+
+    /**
+     * Loads saved rules and matches them against the guide.
+     *
+     * @static
+     * @param {seriesHooks} hooks - Device functions the rules need
+     */
+    static load(hooks) {
+        this.#hooks = hooks;
+
+        if (FS.fileExists(RULES_FILE)) {
+            /**
+             * @type {seriesRule[]}
+             */
+            const data = FS.readJSON(RULES_FILE);
+
+            if (Array.isArray(data)) {
+                for (const rule of data) {
+                    this.#rules.set(rule.id, rule);
+                }
+            } else {
+                Logger.error(`Could not read series rules from ${RULES_FILE}`);
+            }
+        }
+
+        this.evaluate();
+    };
+
+    /**
+     * All rules.
+     *
+     * @static
+     * @type {seriesRule[]}
+     */
+    static get all() {
+        return Array.from(this.#rules.values());
+    };
+
+    /**
+     * Matches from the last evaluation, soonest first.
+     *
+     * @static
+     * @type {upcomingRecording[]}
+     */
+    static get upcoming() {
+        return this.#upcoming;
+    };
+
+    /**
+     * Adds a rule and schedules what it matches.
+     *
+     * @static
+     * @param {seriesRuleRequest} request
+     * @returns {seriesRule}
+     * @throws {Error} when the show or channel can't be found
+     */
+    static add(request) {
+        const hooks = this.#hooks;
+
+        if (hooks == null) {
+            throw new Error("Series rules are not loaded.");
+        }
+
+        if (!request.show) {
+            throw new Error("A show identifier is needed.");
+        }
+
+        var channelId = null;
+
+        if (request.channel) {
+            const channel = hooks.channel(request.channel);
+
+            if (channel == undefined) {
+                throw new Error(`Channel ${request.channel} is not in the lineup.`);
+            }
+
+            channelId = channel.channelId;
+        }
+
+        const airings = hooks.airings();
+
+        const airing = airings.find((el) => el.show && el.show.identifier == request.show);
+
+        /**
+         * @type {seriesRule}
+         */
+        const rule = {
+            id: crypto.randomUUID(),
+            show: request.show,
+            title: airing ? airing.show.title : request.show,
+            channelId: channelId,
+            newOnly: request.newOnly == true,
+            padBefore: Math.max(0, Number(request.padBefore) || 0),
+            padAfter: Math.max(0, Number(request.padAfter) || 0)
+        };
+
+        this.#rules.set(rule.id, rule);
+
+        this.#save();
+
+        Logger.info(`Series rule added for ${rule.title}${rule.newOnly ? " (new episodes)" : ""}.`);
+
+        this.evaluate(airings);
+
+        return rule;
+    };
+
+    /**
+     * Removes a rule and the recordings it scheduled that haven't started.
+     *
+     * @static
+     * @param {string} id
+     * @returns {boolean} if the rule existed
+     */
+    static remove(id) {
+        const rule = this.#rules.get(id);
+
+        if (rule == undefined) {
+            return false;
+        }
+
+        this.#rules.delete(id);
+
+        this.#save();
+
+        for (const job of Recordings.all) {
+            if (job.ruleId == id && job.status == "scheduled") {
+                Recordings.remove(job.id);
+            }
+        }
+
+        this.#upcoming = this.#upcoming.filter((match) => match.ruleId != id);
+
+        Logger.info(`Series rule for ${rule.title} removed.`);
+
+        return true;
+    };
+
+    /**
+     * Keeps a rule from scheduling an airing again, after its recording was removed.
+     *
+     * @static
+     * @param {string} ruleId
+     * @param {string} airingId
+     */
+    static skip(ruleId, airingId) {
+        const rule = this.#rules.get(ruleId);
+
+        if (rule == undefined) {
+            return;
+        }
+
+        const skipped = rule.skipped ?? [];
+
+        if (!skipped.includes(airingId)) {
+            rule.skipped = [...skipped, airingId];
+
+            this.#save();
+        }
+
+        this.#upcoming = this.#upcoming.filter((match) => match.ruleId != ruleId || match.airingId != airingId);
+    };
+
+    /**
+     * Matches every rule against the cached guide and schedules new matches.
+     *
+     * Does nothing until ``load`` has run, like during a one-time ``--lineup`` update.
+     *
+     * @static
+     * @param {guideInfo[]|null} airings - Guide already read by the caller, read from the cache when ``null``
+     */
+    static evaluate(airings = null) {
+        const hooks = this.#hooks;
+
+        if (hooks == null || this.#rules.size == 0) {
+            this.#upcoming = [];
+
+            return;
+        }
+
+        const now = Date.now();
+
+        const sorted = (airings ?? hooks.airings()).slice().sort((a, b) => new Date(a.datetime).getTime() - new Date(b.datetime).getTime());
+
+        /**
+         * @type {upcomingRecording[]}
+         */
+        const upcoming = [];
+
+        /**
+         * Every airing still in the guide, skips for the rest have aired
+         *
+         * @type {Set<string>}
+         */
+        const listed = new Set(sorted.map((airing) => airing.identifier));
+
+        var pruned = false;
+
+        for (const rule of this.#rules.values()) {
+            const skipped = rule.skipped ?? [];
+
+            if (listed.size > 0 && skipped.some((id) => !listed.has(id))) {
+                rule.skipped = skipped.filter((id) => listed.has(id));
+
+                pruned = true;
+            }
+
+            /**
+             * Episodes already matched this pass, so a show airing twice is only recorded once
+             *
+             * @type {Set<string>}
+             */
+            const episodes = new Set();
+
+            for (const airing of sorted) {
+                if (!airing.show || airing.show.identifier != rule.show) {
+                    continue;
+                }
+
+                if (rule.channelId && airing.channel.identifier != rule.channelId) {
+                    continue;
+                }
+
+                const start = new Date(airing.datetime).getTime();
+
+                const end = start + airing.duration * 1000;
+
+                if (end <= now || skipped.includes(airing.identifier)) {
+                    continue;
+                }
+
+                if (rule.newOnly && !_isNew(airing)) {
+                    continue;
+                }
+
+                const season = airing.kind == "episode" ? airing.episode.season.number ?? null : null;
+
+                const episode = airing.kind == "episode" ? airing.episode.episodeNumber : null;
+
+                if (episode != null) {
+                    const key = `${season}x${episode}`;
+
+                    if (episodes.has(key) || this.#recorded(airing.show.title, season, episode, airing.identifier)) {
+                        continue;
+                    }
+
+                    episodes.add(key);
+                }
+
+                var recordingId = null;
+
+                try {
+                    const job = Recordings.schedule({
+                        airing: airing.identifier,
+                        guideInfo: airing,
+                        padBefore: rule.padBefore,
+                        padAfter: rule.padAfter,
+                        ruleId: rule.id
+                    });
+
+                    recordingId = job.id;
+                } catch (error) {
+                    // @ts-ignore
+                    Logger.error(`Could not schedule ${airing.title} for series rule ${rule.title}: ${error.message}`);
+                }
+
+                upcoming.push({
+                    ruleId: rule.id,
+                    airingId: airing.identifier,
+                    channelId: airing.channel.identifier,
+                    show: airing.show.title,
+                    title: airing.title,
+                    season: season,
+                    episode: episode,
+                    start: new Date(start).toISOString(),
+                    end: new Date(end).toISOString(),
+                    recordingId: recordingId
+                });
+            }
+        }
+
+        if (pruned) {
+            this.#save();
+        }
+
+        this.#upcoming = upcoming.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+
+        Logger.info(`Series rules matched ${upcoming.length} upcoming recordings.`);
+    };
+
+    /**
+     * If an episode was already recorded, or is set to record from another airing.
+     *
+     * @param {string} show
+     * @param {number|null} season
+     * @param {number} episode
+     * @param {string} airingId
+     * @returns {boolean}
+     */
+    static #recorded(show, season, episode, airingId) {
+        return Recordings.all.some((job) => {
+            return job.airingId != airingId &&
+                job.show == show &&
+                job.season == season &&
+                job.episode == episode &&
+                job.status != "failed" &&
+                job.status != "missed";
+        });
+    };
+
+    static #save() {
+        FS.writeJSON(JSON.stringify(this.all, null, 4), RULES_FILE);
+    };
+};
+
+module.exports = SeriesRules;
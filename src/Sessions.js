@@ -0,0 +1,827 @@
+// @ts-check
+/**
+ * @typedef {import('stream').Writable} Writable
+ * @typedef {import('child_process').ChildProcessWithoutNullStreams} ChildProcess
+ */
+
+const { spawn, spawnSync } = require('child_process');
+
+const {
+    CONST
+} = require('./Constants');
+const { HlsRemuxer } = require('./HLS');
+const Logger = require('./Logger');
+const { TimeshiftBuffer, TimeshiftReader } = require('./Timeshift');
+const Transcode = require('./Transcode');
+const { Tuners } = require('./Tuners');
+
+/**
+ * Size of a single MPEG-TS packet
+ */
+const TS_PACKET_SIZE = 188;
+
+/**
+ * Recovery attempts are forgotten after a stream has run this long without one
+ */
+const RECOVERY_RESET = 5 * 60 * 1000;
+
+/**
+ * Wait before retrying a failed recovery watch request
+ */
+const RECOVERY_DELAY = 2000;
+
+/**
+ * If ffmpeg was found in the system path, checked on first stream
+ *
+ * @type {boolean|null}
+ */
+var FFMPEG_FOUND = null;
+
+/**
+ * Checks once if ffmpeg can be run.
+ *
+ * @returns {boolean}
+ */
+function _ffmpegFound() {
+    if (FFMPEG_FOUND == null) {
+        const check = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+
+        FFMPEG_FOUND = check.error == undefined;
+
+        if (!FFMPEG_FOUND && CONST.STREAM_MODE == "ffmpeg") {
+            Logger.warn("ffmpeg was not found in your system path, falling back to the native remuxer.");
+        }
+    }
+
+    return FFMPEG_FOUND;
+};
+
+/**
+ * @typedef {{token: string, expires: string, keepalive: number, playlist_url: string, video_details: {container_format: string, flags: any[]}}} watchData
+ */
+
+/**
+ * @typedef sessionHooks
+ * @property {() => Promise<watchData>} watch - Requests a new watch session from the device.
+ * @property {(watchData: watchData) => Promise<void>} keepalive - Keeps the device watch session alive.
+ * @property {(watchData: watchData) => Promise<void>} release - Releases the device watch session.
+ */
+
+/**
+ * @typedef sessionClient
+ * @property {string} ip - Client IP address
+ * @property {Writable} stream - Where the stream data is written
+ * @property {number} skip - Bytes to drop before the client is packet aligned
+ * @property {number} connected - Time the client joined
+ * @property {number} bytes - Bytes written to the client
+ * @property {number} lastWrite - Time data was last written to the client
+ * @property {boolean} blocked - Waiting for the client to drain, live data is skipped until it does
+ * @property {TimeshiftReader|null} timeshift - Feeds the client from the timeshift buffer when it started behind live
+ */
+
+/**
+ * A single Tablo watch session and ffmpeg process shared by every client on the same channel.
+ *
+ * When ffmpeg exits early or stops sending data, a new watch session is requested and a new
+ * ffmpeg is spliced into the same client streams, up to ``STREAM_RETRIES`` times.
+ *
+ * ```javascript
+ * const session = StreamSession.get(channelId) ?? StreamSession.create(channelId, "ota", hooks);
+ *
+ * const client = session.addClient(ip, res);
+ *
+ * req.on('close', () => session.removeClient(client));
+ * ```
+ *
+ * @class
+ */
+class StreamSession {
+    /**
+     * Running sessions by channel id
+     *
+     * @type {Map<string, StreamSession>}
+     */
+    static #sessions = new Map();
+
+    key = "";
+    channelId = "";
+    profileName = "";
+    type = "ota";
+    started = 0;
+    bytes = 0;
+    closed = false;
+    recovering = false;
+    retries = 0;
+    lastRecovery = 0;
+    lastData = 0;
+    /**
+     * ffmpeg process or the native remuxer standing in for it
+     *
+     * @type {ChildProcess|HlsRemuxer|null}
+     */
+    ffmpeg = null;
+    /**
+     * @type {watchData|null}
+     */
+    watchData = null;
+    /**
+     * @type {Set<sessionClient>}
+     */
+    clients = new Set();
+    /**
+     * @type {import('./Transcode').transcodeProfile|null}
+     */
+    profile = null;
+    /**
+     * @type {Promise<void>|null}
+     */
+    ready = null;
+    /**
+     * @type {NodeJS.Timeout|null}
+     */
+    keepaliveId = null;
+    /**
+     * @type {NodeJS.Timeout|null}
+     */
+    stallId = null;
+    /**
+     * Tuner or OTT slot held by the session, released on close
+     *
+     * @type {import('./Tuners').TunerAllocation|null}
+     */
+    allocation = null;
+    /**
+     * Rolling copy of the stream on disk, when ``TIMESHIFT_MINUTES`` is set
+     *
+     * @type {TimeshiftBuffer|null}
+     */
+    timeshift = null;
+    /**
+     * @type {sessionHooks}
+     */
+    hooks;
+    /**
+     * Called once the session has been torn down.
+     *
+     * @type {(session: StreamSession) => void}
+     */
+    onClose = () => { };
+    /**
+     * @param {string} channelId - Tablo channel identifier
+     * @param {string} type - "ota" or "ott"
+     * @param {sessionHooks} hooks - Device functions the session needs
+     * @param {string} profileName - Transcode profile name, empty for none
+     */
+    constructor(channelId, type, hooks, profileName = "") {
+        this.key = StreamSession.#key(channelId, profileName);
+
+        this.channelId = channelId;
+
+        this.type = type;
+
+        this.hooks = hooks;
+
+        this.profileName = profileName;
+
+        this.profile = Transcode.get(profileName) ?? null;
+
+        if (CONST.TIMESHIFT_MINUTES > 0) {
+            this.timeshift = new TimeshiftBuffer(this.key);
+        }
+    }
+
+    /**
+     * Registry key, each transcode profile of a channel is its own session.
+     *
+     * @param {string} channelId
+     * @param {string} profileName
+     */
+    static #key(channelId, profileName) {
+        return profileName ? `${channelId}?transcode=${profileName}` : channelId;
+    };
+
+    /**
+     * Returns the running session for a channel.
+     *
+     * @static
+     * @param {string} channelId
+     * @param {string} profileName - Transcode profile name, empty for none
+     * @returns {StreamSession|undefined}
+     */
+    static get(channelId, profileName = "") {
+        return this.#sessions.get(this.#key(channelId, profileName));
+    };
+
+    /**
+     * Creates and registers a new session for a channel.
+     *
+     * Registered before it starts so requests that arrive while the device is answering share it.
+     *
+     * @static
+     * @param {string} channelId
+     * @param {string} type - "ota" or "ott"
+     * @param {sessionHooks} hooks
+     * @param {string} profileName - Transcode profile name, empty for none
+     * @returns {StreamSession}
+     */
+    static create(channelId, type, hooks, profileName = "") {
+        const session = new StreamSession(channelId, type, hooks, profileName);
+
+        this.#sessions.set(session.key, session);
+
+        return session;
+    };
+
+    /**
+     * All running sessions.
+     *
+     * @static
+     * @type {StreamSession[]}
+     */
+    static get all() {
+        return Array.from(this.#sessions.values());
+    };
+
+    /**
+     * Requests the watch session from the device and spawns ffmpeg.
+     *
+     * Safe to await from more than one caller.
+     *
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (this.ready == null) {
+            this.ready = this.#start();
+        }
+
+        return this.ready;
+    };
+
+    async #start() {
+        const channelJSON = await this.hooks.watch();
+
+        if (this.closed) {
+            // closed while the device was answering, nothing else will release it
+            this.#release(channelJSON);
+
+            return;
+        }
+
+        this.watchData = channelJSON;
+
+        this.started = Date.now();
+
+        this.#spawn(channelJSON.playlist_url);
+
+        this.#scheduleKeepalive();
+
+        this.#supervise();
+    };
+
+    /**
+     * Sends the device keepalive on the interval the watch response advertises.
+     */
+    #scheduleKeepalive() {
+        const watchData = this.watchData;
+
+        if (this.keepaliveId) {
+            clearInterval(this.keepaliveId);
+
+            this.keepaliveId = null;
+        }
+
+        if (watchData == null || !(watchData.keepalive > 0)) {
+            Logger.debug(`No keepalive advertised for ${this.channelId}, session expires ${watchData && watchData.expires}`);
+
+            return;
+        }
+
+        Logger.debug(`Sending keepalive for ${this.channelId} every ${watchData.keepalive} seconds, session expires ${watchData.expires}`);
+
+        this.keepaliveId = setInterval(async () => {
+            if (this.closed || this.clients.size == 0) {
+                return;
+            }
+
+            Logger.debug(`Keepalive for ${this.channelId} session ${watchData.token}`);
+
+            try {
+                await this.hooks.keepalive(watchData);
+            } catch (error) {
+                Logger.debug(`Keepalive for ${this.channelId} failed:`, error);
+            }
+        }, watchData.keepalive * 1000);
+    };
+
+    /**
+     * Restarts the stream when ffmpeg stops sending data, and drops clients the watchdog catches.
+     */
+    #supervise() {
+        this.stallId = setInterval(() => {
+            this.#watchdog();
+
+            if (this.closed || this.recovering || this.ffmpeg == null) {
+                return;
+            }
+
+            const idle = Date.now() - this.lastData;
+
+            if (idle >= CONST.STREAM_STALL_TIMEOUT) {
+                this.#recover(`stalled for ${Math.round(idle / 1000)} seconds`);
+            }
+        }, 1000);
+    };
+
+    /**
+     * Ends clients that haven't been sent data in ``STREAM_WATCHDOG_TIMEOUT``.
+     *
+     * Dropping the last client kills ffmpeg and frees the tuner.
+     */
+    #watchdog() {
+        if (this.closed || CONST.STREAM_WATCHDOG_TIMEOUT <= 0) {
+            return;
+        }
+
+        const now = Date.now();
+
+        for (const client of Array.from(this.clients)) {
+            if (client.timeshift && client.timeshift.paused) {
+                // paused clients are fed from disk when they come back
+                continue;
+            }
+
+            const idle = now - client.lastWrite;
+
+            if (idle >= CONST.STREAM_WATCHDOG_TIMEOUT) {
+                Logger.error(`Watchdog: client ${client.ip} on ${this.channelId} got no data for ${Math.round(idle / 1000)} seconds (${client.bytes} bytes sent), ending stream.`);
+
+                _endClient(client);
+
+                this.removeClient(client);
+            }
+        }
+    };
+
+    /**
+     * @param {string} playlistUrl
+     */
+    #spawn(playlistUrl) {
+        /**
+         * @type {ChildProcess|HlsRemuxer}
+         */
+        var ffmpeg;
+
+        if (CONST.STREAM_MODE == "native" || !_ffmpegFound()) {
+            if (this.profile) {
+                Logger.warn(`Transcode profile ${this.profileName} needs ffmpeg, streaming ${this.channelId} as is.`);
+            }
+
+            ffmpeg = new HlsRemuxer(playlistUrl, this.channelId);
+        } else {
+            ffmpeg = spawn('ffmpeg', [
+                '-i', playlistUrl,
+                ...Transcode.ffmpegArgs(this.profile),
+                '-f', 'mpegts',
+                '-v', `repeat+level+${CONST.FFMPEG_LOG_LEVEL}`,
+                'pipe:1'
+            ]);
+        }
+
+        this.ffmpeg = ffmpeg;
+
+        if (this.allocation) {
+            this.allocation.pid = ffmpeg.pid;
+        }
+
+        this.bytes = 0;
+
+        this.lastData = Date.now();
+
+        var missing = false;
+
+        ffmpeg.stdout.on('data', (/**@type {Buffer}*/chunk) => {
+            this.#broadcast(chunk);
+        });
+
+        ffmpeg.stderr.on('data', (data) => {
+            switch (CONST.FFMPEG_LOG_LEVEL) {
+                case "info":
+                    Logger.info(`[ffmpeg] ${data}`);
+                    break;
+                case "debug":
+                    Logger.debug(`[ffmpeg] ${data}`);
+                    break;
+                case "warning":
+                    Logger.warn(`[ffmpeg] ${data}`);
+                    break;
+                default:
+                    Logger.error(`[ffmpeg] ${data}`);
+                    break;
+            }
+        });
+
+        ffmpeg.on('error', (/**@type {Error}*/error) => {
+            Logger.error(`ffmpeg for ${this.channelId} failed:`, error.message);
+            // @ts-ignore
+            if (error.code == "ENOENT") {
+                missing = true;
+            }
+        });
+
+        ffmpeg.on('close', (/**@type {number|null}*/code, /**@type {string|null}*/signal) => {
+            if (this.ffmpeg != ffmpeg) {
+                // killed on purpose
+                return;
+            }
+
+            this.ffmpeg = null;
+
+            if (missing) {
+                this.close();
+            } else {
+                this.#recover(`ffmpeg exited early (${signal || code})`);
+            }
+        });
+    };
+
+    /**
+     * Requests a new watch session and splices a new ffmpeg into the running clients.
+     *
+     * @param {string} reason - Why the stream needs recovering
+     */
+    async #recover(reason) {
+        if (this.closed || this.recovering) {
+            return;
+        }
+
+        if (this.clients.size == 0) {
+            this.close();
+
+            return;
+        }
+
+        if (Date.now() - this.lastRecovery > RECOVERY_RESET) {
+            this.retries = 0;
+        }
+
+        if (this.retries >= CONST.STREAM_RETRIES) {
+            Logger.error(`Stream for ${this.channelId} ${reason}, giving up after ${this.retries} recovery attempts.`);
+
+            this.close();
+
+            return;
+        }
+
+        this.recovering = true;
+
+        this.retries += 1;
+
+        this.lastRecovery = Date.now();
+
+        Logger.warn(`Stream for ${this.channelId} ${reason}, recovering (${this.retries}/${CONST.STREAM_RETRIES}).`);
+
+        if (this.ffmpeg) {
+            const ffmpeg = this.ffmpeg;
+
+            this.ffmpeg = null;
+
+            ffmpeg.kill('SIGINT');
+        }
+
+        this.#padClients();
+
+        if (this.watchData) {
+            const watchData = this.watchData;
+
+            this.watchData = null;
+
+            this.#release(watchData);
+        }
+
+        try {
+            const channelJSON = await this.hooks.watch();
+
+            if (this.closed) {
+                this.#release(channelJSON);
+
+                return;
+            }
+
+            this.watchData = channelJSON;
+
+            this.#spawn(channelJSON.playlist_url);
+
+            this.#scheduleKeepalive();
+
+            this.recovering = false;
+
+            Logger.info(`Stream for ${this.channelId} recovered for ${this.clients.size} clients.`);
+        } catch (error) {
+            this.recovering = false;
+
+            // @ts-ignore
+            Logger.error(`Recovery watch request for ${this.channelId} failed:`, error.message);
+
+            await new Promise((resolve) => setTimeout(resolve, RECOVERY_DELAY));
+
+            await this.#recover("could not be requested");
+        }
+    };
+
+    /**
+     * Tells the device a watch session has ended.
+     *
+     * @param {watchData} watchData
+     * @returns {Promise<void>} Never rejects
+     */
+    #release(watchData) {
+        Logger.debug(`Releasing ${this.channelId} session ${watchData.token}`);
+
+        return this.hooks.release(watchData).catch((error) => {
+            Logger.debug(`Releasing ${this.channelId} session failed:`, error);
+        });
+    };
+
+    /**
+     * Fills the last partial MPEG-TS packet so clients stay aligned when a new ffmpeg starts.
+     */
+    #padClients() {
+        const partial = this.bytes % TS_PACKET_SIZE;
+
+        if (this.timeshift && partial != 0) {
+            this.timeshift.write(Buffer.alloc(TS_PACKET_SIZE - partial, 0xFF));
+        }
+
+        for (const client of this.clients) {
+            if (client.timeshift) {
+                continue;
+            }
+            // blocked clients can be on a different packet than live
+            const clientPartial = client.bytes % TS_PACKET_SIZE;
+
+            if (client.skip == 0 && clientPartial != 0) {
+                const padding = Buffer.alloc(TS_PACKET_SIZE - clientPartial, 0xFF);
+
+                client.stream.write(padding);
+
+                client.bytes += padding.length;
+            }
+            // never started clients wait for the new ffmpeg's first packet
+            client.skip = 0;
+        }
+    };
+
+    /**
+     * Writes a chunk of ffmpeg output to every client.
+     *
+     * @param {Buffer} chunk
+     */
+    #broadcast(chunk) {
+        this.bytes += chunk.length;
+
+        this.lastData = Date.now();
+
+        if (this.timeshift) {
+            this.timeshift.write(chunk);
+        }
+
+        for (const client of this.clients) {
+            if (client.timeshift) {
+                // reads from the buffer at its own pace
+                continue;
+            }
+
+            if (client.blocked) {
+                // finish the packet it's on so it can rejoin on a whole one
+                const rest = (TS_PACKET_SIZE - (client.bytes % TS_PACKET_SIZE)) % TS_PACKET_SIZE;
+
+                if (rest > 0) {
+                    const data = chunk.subarray(0, rest);
+
+                    client.stream.write(data);
+
+                    client.bytes += data.length;
+                }
+
+                continue;
+            }
+
+            if (client.skip >= chunk.length) {
+                client.skip -= chunk.length;
+
+                continue;
+            }
+
+            const data = client.skip ? chunk.subarray(client.skip) : chunk;
+
+            const flushed = client.stream.write(data);
+
+            client.bytes += data.length;
+
+            client.lastWrite = this.lastData;
+
+            client.skip = 0;
+
+            if (!flushed) {
+                this.#block(client);
+            }
+        }
+    };
+
+    /**
+     * Stops sending live data to a client that can't keep up, until it drains.
+     *
+     * It rejoins on the next whole MPEG-TS packet. Clients that never drain are ended by the watchdog.
+     *
+     * @param {sessionClient} client
+     */
+    #block(client) {
+        client.blocked = true;
+
+        Logger.debug(`Client ${client.ip} on ${this.channelId} can't keep up, skipping live data until it catches up.`);
+
+        client.stream.once('drain', () => {
+            client.blocked = false;
+
+            if (client.bytes % TS_PACKET_SIZE == 0) {
+                client.skip = (TS_PACKET_SIZE - (this.bytes % TS_PACKET_SIZE)) % TS_PACKET_SIZE;
+            }
+        });
+    };
+
+    /**
+     * Adds a client to the session.
+     *
+     * Clients joining a running stream start on the next whole MPEG-TS packet.
+     *
+     * With a negative ``offset`` the client is fed from the timeshift buffer, as far back as it holds.
+     *
+     * @param {string} ip
+     * @param {Writable} stream
+     * @param {number} offset - Seconds from live, ``0`` for live
+     * @returns {sessionClient}
+     */
+    addClient(ip, stream, offset = 0) {
+        /**
+         * @type {sessionClient}
+         */
+        const client = {
+            ip: ip,
+            stream: stream,
+            skip: (TS_PACKET_SIZE - (this.bytes % TS_PACKET_SIZE)) % TS_PACKET_SIZE,
+            connected: Date.now(),
+            bytes: 0,
+            lastWrite: Date.now(),
+            blocked: false,
+            timeshift: null
+        };
+
+        this.clients.add(client);
+
+        if (offset < 0 && this.timeshift) {
+            const reader = new TimeshiftReader(this.timeshift, client, offset);
+
+            reader.onEnd = () => {
+                _endClient(client);
+
+                this.removeClient(client);
+            };
+
+            client.timeshift = reader;
+
+            reader.start();
+        }
+
+        this.#updatePriority();
+
+        return client;
+    };
+
+    /**
+     * The session keeps the priority of its highest priority client.
+     */
+    #updatePriority() {
+        if (this.allocation == null) {
+            return;
+        }
+
+        var priority = 0;
+
+        for (const client of this.clients) {
+            priority = Math.max(priority, Tuners.priority(client.ip));
+        }
+
+        this.allocation.priority = priority;
+    };
+
+    /**
+     * Removes a client. Closes the session when it was the last one.
+     *
+     * @param {sessionClient} client
+     */
+    removeClient(client) {
+        if (!this.clients.delete(client)) {
+            return;
+        }
+
+        if (client.timeshift) {
+            client.timeshift.close();
+        }
+
+        if (this.clients.size == 0) {
+            this.close();
+        } else {
+            this.#updatePriority();
+        }
+    };
+
+    /**
+     * Kills ffmpeg, ends every client and unregisters the session.
+     *
+     * @returns {Promise<void>} Resolves once the device has been told the session ended
+     */
+    close() {
+        if (this.closed) {
+            return Promise.resolve();
+        }
+
+        this.closed = true;
+
+        if (StreamSession.#sessions.get(this.key) == this) {
+            StreamSession.#sessions.delete(this.key);
+        }
+
+        if (this.ffmpeg) {
+            const ffmpeg = this.ffmpeg;
+
+            this.ffmpeg = null;
+
+            ffmpeg.kill('SIGINT');
+        }
+
+        for (const client of this.clients) {
+            if (client.timeshift) {
+                client.timeshift.close();
+            }
+
+            _endClient(client);
+        }
+
+        this.clients.clear();
+
+        if (this.timeshift) {
+            this.timeshift.close();
+
+            this.timeshift = null;
+        }
+
+        if (this.keepaliveId) {
+            clearInterval(this.keepaliveId);
+
+            this.keepaliveId = null;
+        }
+
+        if (this.stallId) {
+            clearInterval(this.stallId);
+
+            this.stallId = null;
+        }
+
+        var released = Promise.resolve();
+
+        if (this.watchData) {
+            const watchData = this.watchData;
+
+            released = this.#release(watchData);
+        }
+
+        if (this.allocation) {
+            this.allocation.release();
+        }
+
+        this.onClose(this);
+
+        return released;
+    };
+};
+
+/**
+ * Ends a client's stream, sending an error if nothing was written yet.
+ *
+ * @param {sessionClient} client
+ */
+function _endClient(client) {
+    const stream = /**@type {any}*/(client.stream);
+
+    if (stream.writableEnded) {
+        return;
+    }
+
+    if (stream.headersSent === false && typeof stream.status == "function") {
+        stream.status(500).send('Failed to start stream');
+    } else {
+        stream.end();
+    }
+};
+
+module.exports = StreamSession;
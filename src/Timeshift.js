@@ -0,0 +1,635 @@
+// @ts-check
+/**
+ * @typedef {import('stream').Writable} Writable
+ * @typedef {import('./Sessions').sessionClient} sessionClient
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const {
+    CONST
+} = require('./Constants');
+const FS = require('./FS');
+const Logger = require('./Logger');
+
+/**
+ * Folder the timeshift buffers are written to
+ */
+const TIMESHIFT_DIR = path.join(CONST.DIR_NAME, "timeshift");
+
+/**
+ * Size of a single MPEG-TS packet
+ */
+const TS_PACKET_SIZE = 188;
+
+/**
+ * Length of each buffer segment file, the oldest whole segment is dropped first
+ */
+const SEGMENT_LENGTH = 10 * 1000;
+
+/**
+ * Bytes read from disk at a time for a behind live client
+ */
+const READ_SIZE = 64 * 1024;
+
+/**
+ * Bytes waiting to be written before the disk is too slow to keep up and the buffer is turned off
+ */
+const MAX_PENDING = 16 * 1024 * 1024;
+
+/**
+ * @typedef timeshiftSegment
+ * @property {number} id
+ * @property {string} file - Full path to the segment file
+ * @property {number} start - Time the first byte was written
+ * @property {number} end - Time the last byte was written
+ * @property {number} bytes - Bytes written to the file, readers only see data once it's on disk
+ * @property {boolean} finished - No more data will be added and all of it is on disk
+ * @property {boolean} removed - Dropped from the buffer
+ */
+
+/**
+ * Rolling on-disk copy of a running stream, cut into ``SEGMENT_LENGTH`` files.
+ *
+ * Keeps ``TIMESHIFT_MINUTES`` of data, with every buffer together capped at ``TIMESHIFT_MAX_SIZE``.
+ *
+ * ```javascript
+ * const buffer = new TimeshiftBuffer("channelId");
+ *
+ * buffer.write(chunk);
+ * // five minutes behind live
+ * const segment = buffer.segmentAt(Date.now() - 300 * 1000);
+ *
+ * buffer.close(); // deletes the files
+ * ```
+ *
+ * @class
+ */
+class TimeshiftBuffer extends EventEmitter {
+    /**
+     * @type {Set<TimeshiftBuffer>}
+     */
+    static #buffers = new Set();
+
+    /**
+     * If files left by the last run have been removed
+     */
+    static #cleaned = false;
+
+    key = "";
+    dir = "";
+    written = 0;
+    closed = false;
+    /**
+     * @type {timeshiftSegment[]}
+     */
+    segments = [];
+    /**
+     * Open segment file
+     *
+     * @type {fs.WriteStream|null}
+     */
+    #stream = null;
+    #nextId = 0;
+    /**
+     * @param {string} key - Session key, used for the folder name
+     */
+    constructor(key) {
+        super();
+
+        this.setMaxListeners(0);
+
+        if (!TimeshiftBuffer.#cleaned) {
+            TimeshiftBuffer.#cleaned = true;
+
+            fs.rmSync(TIMESHIFT_DIR, { recursive: true, force: true });
+        }
+
+        this.key = key;
+
+        this.dir = path.join(TIMESHIFT_DIR, `${key.replace(/[^a-zA-Z0-9_-]/g, "_")}_${Date.now()}`);
+
+        FS.createDirectory(this.dir);
+
+        TimeshiftBuffer.#buffers.add(this);
+    }
+
+    /**
+     * Bytes on disk for this buffer.
+     *
+     * @type {number}
+     */
+    get size() {
+        return this.segments.reduce((total, segment) => total + segment.bytes, 0);
+    };
+
+    /**
+     * Seconds of stream held.
+     *
+     * @type {number}
+     */
+    get duration() {
+        if (this.segments.length == 0) {
+            return 0;
+        }
+
+        return (this.segments[this.segments.length - 1].end - this.segments[0].start) / 1000;
+    };
+
+    /**
+     * Adds stream data, starting a new segment on a packet boundary when the current one is full.
+     *
+     * @param {Buffer} chunk
+     */
+    write(chunk) {
+        if (this.closed) {
+            return;
+        }
+
+        if (this.#stream && this.#stream.writableLength > MAX_PENDING) {
+            Logger.error(`Timeshift buffer for ${this.key} can't be written fast enough, turning it off.`);
+
+            this.close();
+
+            return;
+        }
+
+        try {
+            var current = this.segments[this.segments.length - 1];
+
+            if (current == undefined) {
+                this.#openSegment();
+            } else if (Date.now() - current.start >= SEGMENT_LENGTH) {
+                const cut = (TS_PACKET_SIZE - (this.written % TS_PACKET_SIZE)) % TS_PACKET_SIZE;
+
+                if (cut < chunk.length) {
+                    if (cut > 0) {
+                        this.#append(chunk.subarray(0, cut));
+
+                        chunk = chunk.subarray(cut);
+                    }
+
+                    this.#finishSegment();
+
+                    this.#openSegment();
+
+                    this.#trim();
+                }
+            }
+
+            this.#append(chunk);
+        } catch (error) {
+            this.#failed(error);
+        }
+    };
+
+    /**
+     * @param {any} error
+     */
+    #failed(error) {
+        if (this.closed) {
+            return;
+        }
+
+        Logger.error(`Timeshift buffer for ${this.key} could not be written, turning it off:`, error);
+
+        this.close();
+    };
+
+    /**
+     * Finds the segment holding a point in time.
+     *
+     * Falls back to the oldest segment when that time has already been dropped.
+     *
+     * @param {number} time - Milliseconds since epoch
+     * @returns {timeshiftSegment|undefined}
+     */
+    segmentAt(time) {
+        return this.segments.find((segment) => segment.end >= time) ?? this.segments[this.segments.length - 1];
+    };
+
+    /**
+     * Segment after the one given, or the oldest if the one given was dropped.
+     *
+     * @param {timeshiftSegment} segment
+     * @returns {timeshiftSegment|undefined}
+     */
+    next(segment) {
+        const index = this.segments.indexOf(segment);
+
+        if (index == -1) {
+            return this.segments[0];
+        }
+
+        return this.segments[index + 1];
+    };
+
+    /**
+     * Resolves on the next write, or when the buffer closes.
+     *
+     * @returns {Promise<void>}
+     */
+    waitForData() {
+        if (this.closed) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const done = () => {
+                this.off('data', done);
+
+                this.off('close', done);
+
+                resolve();
+            };
+
+            this.on('data', done);
+
+            this.on('close', done);
+        });
+    };
+
+    /**
+     * @param {Buffer} data
+     */
+    #append(data) {
+        const segment = this.segments[this.segments.length - 1];
+
+        this.written += data.length;
+
+        /**@type {fs.WriteStream}*/(this.#stream).write(data, (error) => {
+            if (error) {
+                return;
+            }
+
+            segment.bytes += data.length;
+
+            segment.end = Date.now();
+
+            this.emit('data');
+        });
+    };
+
+    #openSegment() {
+        const id = this.#nextId++;
+
+        const file = path.join(this.dir, `${String(id).padStart(6, '0')}.ts`);
+
+        const stream = fs.createWriteStream(file);
+
+        stream.on('error', (error) => this.#failed(error));
+
+        this.#stream = stream;
+
+        this.segments.push({
+            id: id,
+            file: file,
+            start: Date.now(),
+            end: Date.now(),
+            bytes: 0,
+            finished: false,
+            removed: false
+        });
+    };
+
+    /**
+     * Ends the open segment file, it's marked finished once everything is on disk.
+     *
+     * @returns {fs.WriteStream|null} the ended stream
+     */
+    #finishSegment() {
+        const stream = this.#stream;
+
+        const segment = this.segments[this.segments.length - 1];
+
+        this.#stream = null;
+
+        if (stream == null) {
+            return null;
+        }
+
+        stream.end(() => {
+            if (segment) {
+                segment.finished = true;
+            }
+
+            this.emit('data');
+        });
+
+        return stream;
+    };
+
+    /**
+     * Drops segments older than ``TIMESHIFT_MINUTES`` then enforces ``TIMESHIFT_MAX_SIZE``.
+     */
+    #trim() {
+        const oldest = Date.now() - CONST.TIMESHIFT_MINUTES * 60 * 1000;
+
+        while (this.segments.length > 1 && this.segments[0].end < oldest) {
+            this.#removeOldest();
+        }
+
+        TimeshiftBuffer.#enforceMaxSize();
+    };
+
+    /**
+     * Drops the oldest segments across every buffer until the disk cap is met.
+     */
+    static #enforceMaxSize() {
+        var total = 0;
+
+        for (const buffer of this.#buffers) {
+            total += buffer.size;
+        }
+
+        while (total > CONST.TIMESHIFT_MAX_SIZE) {
+            /**
+             * @type {TimeshiftBuffer|null}
+             */
+            var victim = null;
+
+            for (const buffer of this.#buffers) {
+                // the segment being written is never dropped
+                if (buffer.segments.length > 1 && (victim == null || buffer.segments[0].start < victim.segments[0].start)) {
+                    victim = buffer;
+                }
+            }
+
+            if (victim == null) {
+                return;
+            }
+
+            total -= victim.#removeOldest();
+        }
+    };
+
+    /**
+     * @returns {number} bytes freed
+     */
+    #removeOldest() {
+        const segment = /**@type {timeshiftSegment}*/(this.segments.shift());
+
+        segment.removed = true;
+
+        fs.rm(segment.file, { force: true }, (error) => {
+            if (error) {
+                Logger.debug(`Could not delete timeshift segment ${segment.file}:`, error);
+            }
+        });
+
+        return segment.bytes;
+    };
+
+    /**
+     * Stops writing and deletes the buffer's files.
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+
+        this.closed = true;
+
+        TimeshiftBuffer.#buffers.delete(this);
+
+        const stream = this.#finishSegment();
+
+        for (const segment of this.segments) {
+            segment.removed = true;
+        }
+
+        this.segments = [];
+
+        this.emit('close');
+
+        const remove = () => {
+            fs.rm(this.dir, { recursive: true, force: true }, (error) => {
+                if (error) {
+                    Logger.debug(`Could not delete timeshift buffer ${this.dir}:`, error);
+                }
+            });
+        };
+        // the file is still being written to, delete once it's let go
+        if (stream && !stream.closed) {
+            stream.once('close', remove);
+        } else {
+            remove();
+        }
+    };
+};
+
+/**
+ * Feeds one client from a ``TimeshiftBuffer`` at the pace the client reads, keeping it behind live.
+ *
+ * ```javascript
+ * const reader = new TimeshiftReader(buffer, client, -300);
+ *
+ * reader.start();
+ * ```
+ *
+ * @class
+ */
+class TimeshiftReader {
+    /**
+     * Seconds behind live asked for
+     */
+    offset = 0;
+    closed = false;
+    /**
+     * Waiting on the client to take more data, like when paused
+     */
+    paused = false;
+    /**
+     * @type {TimeshiftBuffer}
+     */
+    buffer;
+    /**
+     * @type {sessionClient}
+     */
+    client;
+    /**
+     * Called if the reader stops before being closed.
+     *
+     * @type {() => void}
+     */
+    onEnd = () => { };
+    /**
+     * @param {TimeshiftBuffer} buffer
+     * @param {sessionClient} client
+     * @param {number} offset - Seconds from live, negative
+     */
+    constructor(buffer, client, offset) {
+        this.buffer = buffer;
+
+        this.client = client;
+
+        this.offset = offset;
+    }
+
+    start() {
+        this.#run().catch((error) => {
+            if (!this.closed) {
+                Logger.error(`Timeshift reader for ${this.client.ip} on ${this.buffer.key} failed:`, error);
+            }
+        }).finally(() => {
+            if (!this.closed) {
+                this.closed = true;
+
+                this.onEnd();
+            }
+        });
+    };
+
+    /**
+     * Stops reading.
+     */
+    close() {
+        this.closed = true;
+    };
+
+    async #run() {
+        var segment = this.buffer.segmentAt(Date.now() + this.offset * 1000);
+
+        while (segment == undefined) {
+            if (this.closed || this.buffer.closed) {
+                return;
+            }
+
+            await this.buffer.waitForData();
+
+            segment = this.buffer.segments[0];
+        }
+
+        var position = 0;
+
+        /**
+         * @type {fs.promises.FileHandle|null}
+         */
+        var file = null;
+
+        try {
+            while (!this.closed && !this.buffer.closed) {
+                if (segment.removed) {
+                    const oldest = this.buffer.segments[0];
+
+                    if (oldest == undefined) {
+                        return;
+                    }
+
+                    Logger.warn(`Client ${this.client.ip} fell behind the ${this.buffer.key} timeshift buffer, skipping ahead.`);
+
+                    segment = oldest;
+
+                    position = 0;
+
+                    if (file) {
+                        await file.close();
+
+                        file = null;
+                    }
+                }
+
+                if (position < segment.bytes) {
+                    if (file == null) {
+                        try {
+                            file = await fs.promises.open(segment.file, 'r');
+                        } catch (error) {
+                            // dropped while it was being opened
+                            segment.removed = true;
+
+                            continue;
+                        }
+                    }
+
+                    const data = Buffer.allocUnsafe(Math.min(READ_SIZE, segment.bytes - position));
+
+                    const { bytesRead } = await file.read(data, 0, data.length, position);
+
+                    if (bytesRead == 0) {
+                        await this.buffer.waitForData();
+
+                        continue;
+                    }
+
+                    position += bytesRead;
+
+                    await this.#send(data.subarray(0, bytesRead));
+                } else if (segment.finished) {
+                    const next = this.buffer.next(segment);
+
+                    if (next == undefined) {
+                        await this.buffer.waitForData();
+
+                        continue;
+                    }
+
+                    segment = next;
+
+                    position = 0;
+
+                    if (file) {
+                        await file.close();
+
+                        file = null;
+                    }
+                } else {
+                    await this.buffer.waitForData();
+                }
+            }
+        } finally {
+            if (file) {
+                await file.close().catch(() => { });
+            }
+        }
+    };
+
+    /**
+     * Writes to the client and waits while it isn't taking data.
+     *
+     * @param {Buffer} data
+     */
+    async #send(data) {
+        const stream = this.client.stream;
+
+        if (stream.writableEnded || stream.destroyed) {
+            this.closed = true;
+
+            return;
+        }
+
+        const flowing = stream.write(data);
+
+        this.client.bytes += data.length;
+
+        this.client.lastWrite = Date.now();
+
+        if (!flowing) {
+            this.paused = true;
+
+            await new Promise((resolve) => {
+                const done = () => {
+                    stream.off('drain', done);
+
+                    stream.off('close', done);
+
+                    resolve(undefined);
+                };
+
+                stream.on('drain', done);
+
+                stream.on('close', done);
+            });
+
+            this.paused = false;
+
+            this.client.lastWrite = Date.now();
+        }
+    };
+};
+
+module.exports = {
+    TimeshiftBuffer,
+    TimeshiftReader
+};
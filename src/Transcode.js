@@ -0,0 +1,196 @@
+// @ts-check
+const path = require('path');
+
+const {
+    CONST
+} = require('./Constants');
+const FS = require('./FS');
+const Logger = require('./Logger');
+
+/**
+ * Source path to transcode_profiles.json
+ */
+const PROFILES_FILE = path.join(CONST.DIR_NAME, "transcode_profiles.json");
+
+/**
+ * @typedef transcodeProfile
+ * @property {number} height - Max video height, ``0`` keeps the source size
+ * @property {string} videoCodec - ffmpeg video encoder
+ * @property {string} videoBitrate - Target video bitrate, like ``"2M"``
+ * @property {string} [preset] - Encoder preset
+ * @property {string} audioCodec - ffmpeg audio encoder
+ * @property {string} audioBitrate - Target audio bitrate, like ``"128k"``
+ * @property {number} audioChannels - Channels the audio is downmixed to
+ */
+
+/**
+ * Profiles written when no transcode_profiles.json exists.
+ *
+ * Names match the ``transcode`` values HDHomeRun Extend tuners accept.
+ *
+ * @type {{[name:string]: transcodeProfile}}
+ */
+const DEFAULT_PROFILES = {
+    heavy: {
+        height: 0,
+        videoCodec: "libx264",
+        videoBitrate: "8M",
+        preset: "veryfast",
+        audioCodec: "aac",
+        audioBitrate: "192k",
+        audioChannels: 2
+    },
+    mobile: {
+        height: 720,
+        videoCodec: "libx264",
+        videoBitrate: "2M",
+        preset: "veryfast",
+        audioCodec: "aac",
+        audioBitrate: "128k",
+        audioChannels: 2
+    },
+    internet720: {
+        height: 720,
+        videoCodec: "libx264",
+        videoBitrate: "3M",
+        preset: "veryfast",
+        audioCodec: "aac",
+        audioBitrate: "128k",
+        audioChannels: 2
+    },
+    internet540: {
+        height: 540,
+        videoCodec: "libx264",
+        videoBitrate: "1500k",
+        preset: "veryfast",
+        audioCodec: "aac",
+        audioBitrate: "128k",
+        audioChannels: 2
+    },
+    internet480: {
+        height: 480,
+        videoCodec: "libx264",
+        videoBitrate: "1M",
+        preset: "veryfast",
+        audioCodec: "aac",
+        audioBitrate: "96k",
+        audioChannels: 2
+    },
+    internet360: {
+        height: 360,
+        videoCodec: "libx264",
+        videoBitrate: "600k",
+        preset: "veryfast",
+        audioCodec: "aac",
+        audioBitrate: "64k",
+        audioChannels: 2
+    }
+};
+
+/**
+ * Static class for the named transcoding profiles used by the ``/channel`` end point.
+ *
+ * ```javascript
+ * const profile = Transcode.get(req.query.transcode);
+ * // ['-c:v', 'libx264', ...]
+ * const args = Transcode.ffmpegArgs(profile);
+ * ```
+ *
+ * @class
+ */
+class Transcode {
+    /**
+     * @type {{[name:string]: transcodeProfile}?}
+     */
+    static #profiles = null;
+
+    /**
+     * Loaded profiles, creates the default file if missing.
+     *
+     * @static
+     * @type {{[name:string]: transcodeProfile}}
+     */
+    static get profiles() {
+        if (this.#profiles == null) {
+            if (!FS.fileExists(PROFILES_FILE)) {
+                Logger.info(`Creating default transcode profiles at ${PROFILES_FILE}`);
+
+                FS.writeJSON(JSON.stringify(DEFAULT_PROFILES, null, 4), PROFILES_FILE);
+
+                this.#profiles = DEFAULT_PROFILES;
+            } else {
+                const data = FS.readJSON(PROFILES_FILE);
+
+                if (data == undefined || typeof data != "object" || Array.isArray(data)) {
+                    Logger.error(`Could not read transcode profiles from ${PROFILES_FILE}, using defaults.`);
+
+                    this.#profiles = DEFAULT_PROFILES;
+                } else {
+                    this.#profiles = data;
+                }
+            }
+        }
+
+        return /**@type {{[name:string]: transcodeProfile}}*/(this.#profiles);
+    };
+
+    /**
+     * Finds a profile by name.
+     *
+     * ``"none"`` or an empty name means no transcoding.
+     *
+     * @static
+     * @param {string|undefined} name
+     * @returns {transcodeProfile|null|undefined} ``null`` for none, ``undefined`` if unknown
+     */
+    static get(name) {
+        if (name == undefined || name == "" || name == "none") {
+            return null;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this.profiles, name)) {
+            return this.profiles[name];
+        }
+
+        return undefined;
+    };
+
+    /**
+     * ffmpeg codec arguments for a profile.
+     *
+     * @static
+     * @param {transcodeProfile|null} profile - ``null`` copies the source streams
+     * @returns {string[]}
+     */
+    static ffmpegArgs(profile) {
+        if (profile == null) {
+            return ['-c', 'copy'];
+        }
+
+        const args = ['-c:v', profile.videoCodec];
+
+        if (profile.preset) {
+            args.push('-preset', profile.preset);
+        }
+
+        args.push(
+            '-b:v', profile.videoBitrate,
+            '-maxrate', profile.videoBitrate,
+            '-bufsize', profile.videoBitrate
+        );
+
+        if (profile.height > 0) {
+            args.push('-vf', `scale=-2:'min(${profile.height},ih)'`);
+        }
+
+        args.push(
+            '-c:a', profile.audioCodec,
+            '-b:a', profile.audioBitrate,
+            '-ac', `${profile.audioChannels}`
+        );
+
+        return args;
+    };
+};
+
+module.exports = Transcode;
@@ -11,11 +11,30 @@ const {
 const {
     startUpMessage,
     makeDiscover,
+    makeDeviceXml,
     _lineup,
+    _lineup_m3u,
     _channel,
+    _channel_playlist,
+    _channel_hls,
     _guide_serve,
+    _recordings,
+    _recordings_add,
+    _recordings_remove,
+    _recordings_upcoming,
+    _series_rules,
+    _series_rules_add,
+    _series_rules_remove,
 } = require("./Device");
+const HDHomeRun = require('./HDHomeRun');
 const Logger = require('./Logger');
+const Scan = require('./Scan');
+const SSDP = require('./SSDP');
+const VirtualDevices = require('./VirtualDevices');
+
+/**
+ * @typedef {import('./VirtualDevices').virtualDevice} virtualDevice
+ */
 
 /**
  * basic middleware
@@ -58,9 +77,10 @@ async function _middleware(req, res, next, port) {
  * 
  * @param {express.Request} req 
  * @param {express.Response} res 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
  */
-async function _discover(req, res) {
-    const discover = makeDiscover();
+async function _discover(req, res, device = null) {
+    const discover = makeDiscover(device);
 
     const headers = {
         'Content-Type': 'application/json'
@@ -73,6 +93,29 @@ async function _discover(req, res) {
     return;
 };
 
+/**
+ * UPnP device description end point, found through SSDP
+ * 
+ * @param {express.Request} req 
+ * @param {express.Response} res 
+ * @param {virtualDevice|null} device - Virtual device, ``null`` for the main one
+ */
+async function _device_xml(req, res, device = null) {
+    const address = SSDP.addressFor(req.ip || "");
+
+    const baseUrl = device ? VirtualDevices.baseUrl(device, address) : `http://${address}:${CONST.PORT}`;
+
+    const headers = {
+        'Content-Type': 'application/xml'
+    };
+
+    res.writeHead(200, headers);
+
+    res.end(makeDeviceXml(baseUrl, device));
+
+    return;
+};
+
 /**
  * lineup_status end point
  * 
@@ -80,12 +123,7 @@ async function _discover(req, res) {
  * @param {express.Response} res 
  */
 async function _lineup_status(req, res) {
-    const lineup_status = {
-        ScanInProgress: 0,
-        ScanPossible: 1,
-        Source: "Antenna",
-        SourceList: ["Antenna"]
-    };
+    const lineup_status = Scan.status;
 
     const headers = {
         'Content-Type': 'application/json'
@@ -98,10 +136,117 @@ async function _lineup_status(req, res) {
     return;
 };
 
+/**
+ * lineup.post end point, Plex's channel scan button
+ * 
+ * ``scan=start`` refreshes the lineup and guide, ``scan=abort`` stops it.
+ * 
+ * @param {express.Request} req 
+ * @param {express.Response} res 
+ */
+async function _lineup_post(req, res) {
+    const scan = req.query.scan;
+
+    if (scan == "start") {
+        if (!Scan.start()) {
+            Logger.info(`Channel scan requested while one is running.`);
+        }
+
+        res.status(200).end();
+    } else if (scan == "abort") {
+        await Scan.abort();
+
+        res.status(200).end();
+    } else {
+        res.status(400).send('Unknown scan command');
+    }
+
+    return;
+};
+
+/**
+ * Routes for a virtual device, with its own discover, lineup and guide
+ * 
+ * Streams, scans and recordings stay on the main routes.
+ * 
+ * @param {virtualDevice} device 
+ * @returns {express.Router}
+ */
+function _deviceRouter(device) {
+    const router = express.Router();
+
+    router.get("/discover.json", async (req, res) => {
+        return await _discover(req, res, device);
+    })
+
+    router.get("/device.xml", async (req, res) => {
+        return await _device_xml(req, res, device);
+    })
+
+    router.get("/lineup.json", async (req, res) => {
+        return await _lineup(req, res, device);
+    })
+
+    router.get("/lineup.m3u", async (req, res) => {
+        return await _lineup_m3u(req, res, device);
+    })
+
+    router.get("/lineup_status.json", async (req, res) => {
+        return await _lineup_status(req, res);
+    })
+
+    router.post("/lineup.post", async (req, res) => {
+        return await _lineup_post(req, res);
+    })
+
+    if (CONST.CREATE_XML) {
+        router.get("/guide.xml", async (req, res) => {
+            return await _guide_serve(req, res, device);
+        })
+    }
+
+    return router;
+};
+
+/**
+ * Starts a virtual device that has its own port
+ * 
+ * @param {virtualDevice} device 
+ * @returns {import('http').Server}
+ */
+function _listenDevice(device) {
+    const port = /**@type {number}*/(device.port);
+
+    const app = express();
+
+    app.set('trust proxy', true);
+
+    app.use(async (req, res, next) => {
+        return await _middleware(req, res, next, `${port}`);
+    });
+
+    app.use(_deviceRouter(device));
+
+    app.get("/favicon.ico", async (req, res) => {
+        res.end("");
+    })
+
+    const server = app.listen(port, () => {
+        Logger.info(`Virtual device ${device.friendlyName} running at ${VirtualDevices.baseUrl(device)}`);
+    });
+
+    server.on('error', (error) => {
+        Logger.error(`Virtual device ${device.friendlyName} could not use port ${port}:`, error.message);
+    });
+
+    return server;
+};
+
 /**
  * Main Server Function
  * 
  * @async
+ * @returns {Promise<import('http').Server[]>} The listening servers, main one first
  */
 async function runServer() {
     //check env file
@@ -122,33 +267,113 @@ async function runServer() {
             return await _discover(req, res);
         })
 
+        app.get("/device.xml", async (req, res) => {
+            return await _device_xml(req, res);
+        })
+
         app.get("/lineup.json", async (req, res) => {
             return await _lineup(req, res);
         })
 
+        app.get("/lineup.m3u", async (req, res) => {
+            return await _lineup_m3u(req, res);
+        })
+
         app.get("/lineup_status.json", async (req, res) => {
             return await _lineup_status(req, res);
         })
 
+        app.post("/lineup.post", async (req, res) => {
+            return await _lineup_post(req, res);
+        })
+
         app.get("/channel/:channelId", async (req, res) => {
             return await _channel(req, res);
         })
 
+        app.get("/channel/:channelId/playlist.m3u8", async (req, res) => {
+            return await _channel_playlist(req, res);
+        })
+
+        app.get("/channel/:channelId/hls", async (req, res) => {
+            return await _channel_hls(req, res);
+        })
+
         if (CONST.CREATE_XML) {
             app.get("/guide.xml", async (req, res) => {
                 return await _guide_serve(req, res);
             })
         }
 
+        app.get("/recordings", async (req, res) => {
+            return await _recordings(req, res);
+        })
+
+        app.post("/recordings", express.json(), async (req, res) => {
+            return await _recordings_add(req, res);
+        })
+
+        app.get("/recordings/upcoming", async (req, res) => {
+            return await _recordings_upcoming(req, res);
+        })
+
+        app.get("/recordings/rules", async (req, res) => {
+            return await _series_rules(req, res);
+        })
+
+        app.post("/recordings/rules", express.json(), async (req, res) => {
+            return await _series_rules_add(req, res);
+        })
+
+        app.delete("/recordings/rules/:id", async (req, res) => {
+            return await _series_rules_remove(req, res);
+        })
+
+        app.delete("/recordings/:id", async (req, res) => {
+            return await _recordings_remove(req, res);
+        })
+
+        for (const device of VirtualDevices.all) {
+            if (device.path != undefined) {
+                app.use(`/devices/${device.path}`, _deviceRouter(device));
+            }
+        }
+
         app.get("/favicon.ico", async (req, res) => {
             res.end("");
         })
 
         // Start the server
-        app.listen(CONST.PORT, () => {
+        const server = app.listen(CONST.PORT, () => {
             startUpMessage();
+
+            if (CONST.SSDP_ENABLED) {
+                SSDP.start();
+            }
+
+            if (CONST.HDHR_DISCOVERY) {
+                HDHomeRun.start(makeDiscover);
+            }
+
+            for (const device of VirtualDevices.all) {
+                if (device.path != undefined) {
+                    Logger.info(`Virtual device ${device.friendlyName} running at ${VirtualDevices.baseUrl(device)}`);
+                }
+            }
         });
+
+        const servers = [server];
+
+        for (const device of VirtualDevices.all) {
+            if (device.port != undefined) {
+                servers.push(_listenDevice(device));
+            }
+        }
+
+        return servers;
     }
+
+    return [];
 };
 
 module.exports = {
@@ -0,0 +1,523 @@
+// @ts-check
+const {
+    C_HEX,
+    CONST
+} = require('./Constants');
+const Logger = require('./Logger');
+
+/**
+ * @typedef {"ota" | "ott"} tunerKind
+ */
+
+/**
+ * @typedef tunerWaiter
+ * @property {string} channelId
+ * @property {string} ip
+ * @property {tunerKind} kind
+ * @property {number} priority
+ * @property {NodeJS.Timeout} timeoutId
+ * @property {(allocation: TunerAllocation|null) => void} resolve
+ */
+
+/**
+ * @typedef priorityRule
+ * @property {string} address - IP address or subnet base
+ * @property {number} bits - Subnet mask bits, 32 for a single IPv4 address, -1 for an exact match
+ * @property {number} level - Priority given to matching clients
+ */
+
+/**
+ * Shortest time a preempting request waits for the stopped stream to free its tuner
+ */
+const PREEMPT_WAIT = 2000;
+
+/**
+ * Parses ``PRIORITY_CLIENTS``, like ``"192.168.1.20=2,192.168.1.0/24"``.
+ *
+ * @param {string} value
+ * @returns {priorityRule[]}
+ */
+function _parsePriorityClients(value) {
+    /**
+     * @type {priorityRule[]}
+     */
+    const rules = [];
+
+    const entries = value.split(",");
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i].trim();
+
+        if (entry == "") {
+            continue;
+        }
+
+        const [target, levelString] = entry.split("=");
+
+        const level = levelString == undefined ? 1 : Number(levelString);
+
+        const [address, bitString] = target.trim().split("/");
+
+        const isIPv4 = _ipv4ToNumber(address) != null;
+
+        const bits = bitString == undefined ? (isIPv4 ? 32 : -1) : Number(bitString);
+
+        if (Number.isNaN(level) || Number.isNaN(bits) || (!isIPv4 && bitString != undefined) || bits > 32) {
+            Logger.error(`Ignoring bad PRIORITY_CLIENTS entry: ${entry}`);
+
+            continue;
+        }
+
+        rules.push({ address: address, bits: bits, level: level });
+    }
+
+    return rules;
+};
+
+/**
+ * Converts an IPv4 address to a number.
+ *
+ * @param {string} ip
+ * @returns {number|null} null if not IPv4
+ */
+function _ipv4ToNumber(ip) {
+    const parts = ip.replace(/^::ffff:/, "").split(".");
+
+    if (parts.length != 4) {
+        return null;
+    }
+
+    var num = 0;
+
+    for (let i = 0; i < 4; i++) {
+        const part = Number(parts[i]);
+
+        if (!Number.isInteger(part) || part < 0 || part > 255 || parts[i] == "") {
+            return null;
+        }
+
+        num = (num * 256) + part;
+    }
+
+    return num;
+};
+
+/**
+ * A single running stream holding a tuner or OTT slot.
+ *
+ * Created with ``Tuners.allocate()``. Call ``release()`` on every exit path, it's safe to call more than once.
+ *
+ * @class
+ */
+class TunerAllocation {
+    id = 0;
+    channelId = "";
+    ip = "";
+    started = 0;
+    /**
+     * @type {tunerKind}
+     */
+    kind = "ota";
+    /**
+     * ffmpeg process id, undefined for the native remuxer and HLS passthrough
+     *
+     * @type {number|undefined}
+     */
+    pid = undefined;
+    released = false;
+    /**
+     * Highest priority of the clients watching, see ``PRIORITY_CLIENTS``
+     */
+    priority = 0;
+    /**
+     * Stops the stream so a higher priority client can take the tuner. Unset streams are never stopped.
+     *
+     * @type {(() => void)|null}
+     */
+    preempt = null;
+    /**
+     * @param {number} id
+     * @param {string} channelId
+     * @param {string} ip - Client that started the stream
+     * @param {tunerKind} kind
+     */
+    constructor(id, channelId, ip, kind) {
+        this.id = id;
+
+        this.channelId = channelId;
+
+        this.ip = ip;
+
+        this.kind = kind;
+
+        this.started = Date.now();
+    }
+
+    /**
+     * Frees the tuner or OTT slot.
+     */
+    release() {
+        if (this.released) {
+            return;
+        }
+
+        this.released = true;
+
+        Tuners.release(this);
+    };
+};
+
+/**
+ * Static class that tracks every running stream against the OTA tuner and OTT stream limits.
+ *
+ * ```javascript
+ * const allocation = Tuners.allocate(channelId, ip, "ota");
+ * if (allocation == null) {
+ *     // all tuners in use
+ * }
+ * // when the stream ends for any reason
+ * allocation.release();
+ * // or wait up to 5 seconds for one to free up
+ * const waited = await Tuners.acquire(channelId, ip, "ota", 5000);
+ * ```
+ *
+ * @class
+ */
+class Tuners {
+    /**
+     * Tuners the Tablo device reports
+     */
+    static #deviceTuners = 2;
+
+    static #nextId = 1;
+
+    /**
+     * @type {Map<number, TunerAllocation>}
+     */
+    static #allocations = new Map();
+
+    /**
+     * Requests waiting for a free slot, oldest first
+     *
+     * @type {tunerWaiter[]}
+     */
+    static #queue = [];
+
+    /**
+     * @type {priorityRule[]?}
+     */
+    static #priorityRules = null;
+
+    /**
+     * Sets the tuner count reported by the device.
+     *
+     * @static
+     * @param {number} count
+     */
+    static setDeviceTuners(count) {
+        if (Number.isInteger(count) && count > 0) {
+            this.#deviceTuners = count;
+        }
+    };
+
+    /**
+     * Tuners the Tablo device reports.
+     *
+     * @static
+     * @type {number}
+     */
+    static get deviceTuners() {
+        return this.#deviceTuners;
+    };
+
+    /**
+     * Max streams of a kind, ``Infinity`` when there is no limit.
+     *
+     * OTA streams are limited to the device's tuners less ``RESERVED_TUNERS``.
+     *
+     * @static
+     * @param {tunerKind} kind
+     * @returns {number}
+     */
+    static limit(kind) {
+        if (kind == "ota") {
+            const tuners = Math.max(0, this.#deviceTuners - CONST.RESERVED_TUNERS);
+
+            if (CONST.OTA_TUNER_LIMIT > 0) {
+                return Math.min(CONST.OTA_TUNER_LIMIT, tuners);
+            }
+
+            return tuners;
+        } else {
+            return CONST.OTT_STREAM_LIMIT > 0 ? CONST.OTT_STREAM_LIMIT : Infinity;
+        }
+    };
+
+    /**
+     * Running streams of a kind.
+     *
+     * @static
+     * @param {tunerKind} kind
+     * @returns {number}
+     */
+    static used(kind) {
+        var count = 0;
+
+        for (const allocation of this.#allocations.values()) {
+            if (allocation.kind == kind) {
+                count += 1;
+            }
+        }
+
+        return count;
+    };
+
+    /**
+     * If a stream of a kind can start.
+     *
+     * @static
+     * @param {tunerKind} kind
+     * @returns {boolean}
+     */
+    static available(kind) {
+        return this.used(kind) < this.limit(kind);
+    };
+
+    /**
+     * Every running allocation, oldest first.
+     *
+     * @static
+     * @type {TunerAllocation[]}
+     */
+    static get all() {
+        return Array.from(this.#allocations.values());
+    };
+
+    /**
+     * Priority of a client IP from ``PRIORITY_CLIENTS``, ``0`` when not listed.
+     *
+     * @static
+     * @param {string} ip
+     * @returns {number}
+     */
+    static priority(ip) {
+        if (this.#priorityRules == null) {
+            this.#priorityRules = _parsePriorityClients(CONST.PRIORITY_CLIENTS);
+        }
+
+        const ipNum = _ipv4ToNumber(ip);
+
+        var level = 0;
+
+        for (let i = 0; i < this.#priorityRules.length; i++) {
+            const rule = this.#priorityRules[i];
+
+            var match = false;
+
+            if (rule.bits == -1 || ipNum == null) {
+                match = rule.address == ip.replace(/^::ffff:/, "");
+            } else {
+                const base = /**@type {number}*/(_ipv4ToNumber(rule.address));
+
+                const size = 2 ** (32 - rule.bits);
+
+                match = Math.floor(ipNum / size) == Math.floor(base / size);
+            }
+
+            if (match && rule.level > level) {
+                level = rule.level;
+            }
+        }
+
+        return level;
+    };
+
+    /**
+     * Usage tag for logs, like ``[1/2]``.
+     *
+     * @static
+     * @param {tunerKind} kind
+     * @returns {string}
+     */
+    static status(kind = "ota") {
+        const limit = this.limit(kind);
+
+        const label = kind == "ota" ? "" : " OTT";
+
+        return `${C_HEX.red_yellow}[${this.used(kind)}${limit == Infinity ? "" : "/" + limit}${label}]${C_HEX.reset}`;
+    };
+
+    /**
+     * Takes a tuner or OTT slot.
+     *
+     * @static
+     * @param {string} channelId
+     * @param {string} ip - Client that started the stream
+     * @param {string} kind - "ota" or "ott"
+     * @returns {TunerAllocation|null} null when the limit is reached
+     */
+    static allocate(channelId, ip, kind) {
+        /**
+         * @type {tunerKind}
+         */
+        const tunerKind = kind == "ota" ? "ota" : "ott";
+
+        if (!this.available(tunerKind)) {
+            return null;
+        }
+
+        const allocation = new TunerAllocation(this.#nextId++, channelId, ip, tunerKind);
+
+        this.#allocations.set(allocation.id, allocation);
+
+        Logger.debug(`Allocated ${tunerKind} #${allocation.id} for ${channelId} (${ip})`);
+
+        return allocation;
+    };
+
+    /**
+     * Takes a tuner or OTT slot, waiting in line for one to free up when the limit is reached.
+     *
+     * @static
+     * @param {string} channelId
+     * @param {string} ip - Client that started the stream
+     * @param {string} kind - "ota" or "ott"
+     * @param {number} timeout - Max wait in milliseconds
+     * @returns {Promise<TunerAllocation|null>} null when none freed up in time
+     */
+    static acquire(channelId, ip, kind, timeout) {
+        /**
+         * @type {tunerKind}
+         */
+        const tunerKind = kind == "ota" ? "ota" : "ott";
+
+        const priority = this.priority(ip);
+        // don't jump ahead of waiters with the same or higher priority
+        if (!this.#queue.some(waiter => waiter.kind == tunerKind && waiter.priority >= priority)) {
+            const allocation = this.allocate(channelId, ip, tunerKind);
+
+            if (allocation != null) {
+                allocation.priority = priority;
+
+                return Promise.resolve(allocation);
+            }
+        }
+
+        const victim = this.#findPreemptable(tunerKind, priority);
+
+        if (victim == null && timeout <= 0) {
+            return Promise.resolve(null);
+        }
+
+        if (victim == null) {
+            Logger.info(`${this.status(tunerKind)} Client ${ip} is waiting for a tuner for ${channelId}.`);
+        }
+
+        return new Promise((resolve) => {
+            /**
+             * @type {tunerWaiter}
+             */
+            const waiter = {
+                channelId: channelId,
+                ip: ip,
+                kind: tunerKind,
+                priority: priority,
+                resolve: resolve,
+                timeoutId: setTimeout(() => {
+                    const index = this.#queue.indexOf(waiter);
+
+                    if (index != -1) {
+                        this.#queue.splice(index, 1);
+                    }
+
+                    Logger.debug(`Client ${ip} gave up waiting for a tuner for ${channelId}`);
+
+                    resolve(null);
+                }, victim ? Math.max(timeout, PREEMPT_WAIT) : timeout)
+            };
+            // higher priority first, then oldest
+            const index = this.#queue.findIndex(self => self.priority < priority);
+
+            if (index == -1) {
+                this.#queue.push(waiter);
+            } else {
+                this.#queue.splice(index, 0, waiter);
+            }
+
+            if (victim && victim.preempt) {
+                Logger.warn(`${this.status(tunerKind)} Stopping ${victim.channelId} (${victim.ip}) so priority client ${ip} can watch ${channelId}.`);
+
+                victim.preempt();
+            }
+        });
+    };
+
+    /**
+     * Finds the lowest priority, most recently started stream a client may stop.
+     *
+     * @param {tunerKind} kind
+     * @param {number} priority - Priority of the client asking
+     * @returns {TunerAllocation|null}
+     */
+    static #findPreemptable(kind, priority) {
+        if (priority <= 0) {
+            return null;
+        }
+
+        const candidates = this.all.filter(self => self.kind == kind && self.preempt != null && self.priority < priority);
+
+        if (candidates.length == 0) {
+            return null;
+        }
+
+        candidates.sort((a, b) => (a.priority - b.priority) || (b.started - a.started));
+
+        return candidates[0];
+    };
+
+    /**
+     * Hands freed slots to waiting requests.
+     */
+    static #drainQueue() {
+        for (let i = 0; i < this.#queue.length; i++) {
+            const waiter = this.#queue[i];
+
+            if (!this.available(waiter.kind)) {
+                continue;
+            }
+
+            this.#queue.splice(i, 1);
+
+            i -= 1;
+
+            clearTimeout(waiter.timeoutId);
+
+            const allocation = this.allocate(waiter.channelId, waiter.ip, waiter.kind);
+
+            if (allocation) {
+                allocation.priority = waiter.priority;
+            }
+
+            waiter.resolve(allocation);
+        }
+    };
+
+    /**
+     * Frees an allocation. Use ``allocation.release()`` instead.
+     *
+     * @static
+     * @param {TunerAllocation} allocation
+     */
+    static release(allocation) {
+        if (this.#allocations.delete(allocation.id)) {
+            Logger.debug(`Released ${allocation.kind} #${allocation.id} for ${allocation.channelId} after ${Math.round((Date.now() - allocation.started) / 1000)} seconds`);
+
+            this.#drainQueue();
+        }
+    };
+};
+
+module.exports = {
+    Tuners,
+    TunerAllocation
+};
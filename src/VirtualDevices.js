@@ -0,0 +1,199 @@
+// @ts-check
+const path = require('path');
+
+const {
+    CONST
+} = require('./Constants');
+const FS = require('./FS');
+const Logger = require('./Logger');
+
+/**
+ * Source path to virtual_devices.json
+ */
+const DEVICES_FILE = path.join(CONST.DIR_NAME, "virtual_devices.json");
+
+/**
+ * @typedef virtualDevice
+ * @property {string} name - Used for the guide file and logs
+ * @property {string} [path] - Served under ``/devices/<path>`` on the main port
+ * @property {number} [port] - Served on its own port
+ * @property {string} deviceId - HDHomeRun ``DeviceID``, must differ from ``DEVICE_ID``
+ * @property {string} friendlyName - Name Plex shows for the DVR
+ * @property {("ota"|"ott")[]} [types] - Channel kinds to include, both when left out
+ * @property {string[]} [channels] - Channel identifiers or ``major.minor`` numbers to include, all when left out
+ * @property {string[]} [exclude] - Channel identifiers or ``major.minor`` numbers to leave out
+ */
+
+/**
+ * Checks a device from virtual_devices.json.
+ *
+ * @param {any} device
+ * @param {virtualDevice[]} loaded - Devices already accepted
+ * @returns {string|null} the problem, ``null`` when it's fine
+ */
+function _invalid(device, loaded) {
+    if (device == null || typeof device != "object") {
+        return "not an object";
+    }
+
+    if (typeof device.name != "string" || device.name == "") {
+        return "missing name";
+    }
+
+    if (!/^[\w-]+$/.test(device.name)) {
+        return "name can only use letters, numbers, - and _";
+    }
+
+    if ((device.path == undefined) == (device.port == undefined)) {
+        return "needs either a path or a port";
+    }
+
+    if (device.path != undefined && (typeof device.path != "string" || !/^[\w-]+$/.test(device.path))) {
+        return "path can only use letters, numbers, - and _";
+    }
+
+    if (device.port != undefined && (!Number.isInteger(device.port) || device.port <= 0 || device.port > 65535 || device.port == CONST.PORT)) {
+        return `port must be a free port other than ${CONST.PORT}`;
+    }
+
+    if (typeof device.deviceId != "string" || device.deviceId == "" || device.deviceId == `${CONST.DEVICE_ID}`) {
+        return "needs a deviceId other than DEVICE_ID";
+    }
+
+    if (typeof device.friendlyName != "string" || device.friendlyName == "") {
+        return "missing friendlyName";
+    }
+
+    for (const other of loaded) {
+        if (other.name == device.name) {
+            return "name is already used";
+        }
+
+        if (other.deviceId == device.deviceId) {
+            return "deviceId is already used";
+        }
+
+        if (device.path != undefined && other.path == device.path) {
+            return "path is already used";
+        }
+
+        if (device.port != undefined && other.port == device.port) {
+            return "port is already used";
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Static class for the virtual HDHomeRun devices in virtual_devices.json.
+ *
+ * Each device shows Plex its own ``DeviceID`` and a subset of the lineup, so
+ * Plex treats them as separate DVRs with separate guides.
+ *
+ * ```javascript
+ * for (const device of VirtualDevices.all) {
+ *     VirtualDevices.includes(device, "S122912_503_01", "ota", "50.3");
+ * }
+ * ```
+ *
+ * @class
+ */
+class VirtualDevices {
+    /**
+     * @type {virtualDevice[]?}
+     */
+    static #devices = null;
+
+    /**
+     * Loaded devices, none when the file is missing.
+     *
+     * @static
+     * @type {virtualDevice[]}
+     */
+    static get all() {
+        if (this.#devices == null) {
+            /**
+             * @type {virtualDevice[]}
+             */
+            const devices = [];
+
+            if (FS.fileExists(DEVICES_FILE)) {
+                const data = FS.readJSON(DEVICES_FILE);
+
+                if (!Array.isArray(data)) {
+                    Logger.error(`Could not read virtual devices from ${DEVICES_FILE}`);
+                } else {
+                    for (const device of data) {
+                        const problem = _invalid(device, devices);
+
+                        if (problem) {
+                            Logger.error(`Skipping virtual device ${device && device.name ? device.name : "?"}: ${problem}.`);
+                        } else {
+                            devices.push(device);
+                        }
+                    }
+                }
+            }
+
+            this.#devices = devices;
+        }
+
+        return this.#devices;
+    };
+
+    /**
+     * Address Plex reaches a device at.
+     *
+     * @static
+     * @param {virtualDevice} device
+     * @param {string} address - Proxy IP, another interface than ``IP_ADDRESS`` when the client is on it
+     * @returns {string}
+     */
+    static baseUrl(device, address = CONST.IP_ADDRESS) {
+        if (device.port != undefined) {
+            return `http://${address}:${device.port}`;
+        }
+
+        return `http://${address}:${CONST.PORT}/devices/${device.path}`;
+    };
+
+    /**
+     * Path to the device's own guide file.
+     *
+     * @static
+     * @param {virtualDevice} device
+     * @returns {string}
+     */
+    static guideFile(device) {
+        return path.join(CONST.DIR_NAME, `guide_${device.name}.xml`);
+    };
+
+    /**
+     * If a channel belongs on a device.
+     *
+     * @static
+     * @param {virtualDevice} device
+     * @param {string} channelId - Channel identifier
+     * @param {string} type - ``ota`` or ``ott``
+     * @param {string} number - Channel number as ``major.minor``
+     * @returns {boolean}
+     */
+    static includes(device, channelId, type, number) {
+        if (device.types && !device.types.includes(/**@type {"ota"|"ott"}*/(type))) {
+            return false;
+        }
+
+        if (device.channels && !device.channels.includes(channelId) && !device.channels.includes(number)) {
+            return false;
+        }
+
+        if (device.exclude && (device.exclude.includes(channelId) || device.exclude.includes(number))) {
+            return false;
+        }
+
+        return true;
+    };
+};
+
+module.exports = VirtualDevices;